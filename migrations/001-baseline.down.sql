@@ -0,0 +1,6 @@
+DROP TABLE tokens;
+DROP TABLE users;
+DROP TABLE rounds;
+DROP TABLE games;
+DROP TABLE competitions;
+DROP TABLE players;
@@ -1,10 +1,14 @@
-CREATE TABLE players (
+-- The schema as it was created by hand before migrations were introduced.
+-- Tables are only created when missing, so that existing databases can be
+-- brought under version control without changes.
+
+CREATE TABLE IF NOT EXISTS players (
   id SERIAL PRIMARY KEY,
   name VARCHAR(30),
   is_primary BOOLEAN DEFAULT false
 );
 
-CREATE TABLE competitions (
+CREATE TABLE IF NOT EXISTS competitions (
   id SERIAL PRIMARY KEY,
   name VARCHAR(20),
   player_1 INTEGER REFERENCES players(id),
@@ -16,7 +20,7 @@ CREATE TABLE competitions (
   is_finished BOOLEAN DEFAULT false
 );
 
-CREATE TABLE games (
+CREATE TABLE IF NOT EXISTS games (
   id SERIAL PRIMARY KEY,
   type VARCHAR(20),
   competition_id INTEGER REFERENCES competitions(id),
@@ -28,7 +32,7 @@ CREATE TABLE games (
   player_6 INTEGER REFERENCES players(id)
 );
 
-CREATE TABLE rounds (
+CREATE TABLE IF NOT EXISTS rounds (
   id SERIAL PRIMARY KEY,
   game_id INTEGER REFERENCES games(id),
   ordinal INTEGER,
@@ -40,13 +44,13 @@ CREATE TABLE rounds (
   score_6 INTEGER
 );
 
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   username VARCHAR(20),
   password VARCHAR(32)
 );
 
-CREATE TABLE tokens (
+CREATE TABLE IF NOT EXISTS tokens (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users(id),
   token VARCHAR(16),
@@ -0,0 +1,12 @@
+ALTER TABLE games
+  DROP COLUMN created_by,
+  DROP COLUMN created_on,
+  DROP COLUMN is_finished;
+
+ALTER TABLE competitions
+  DROP COLUMN format,
+  DROP COLUMN match_points,
+  DROP COLUMN best_games;
+
+ALTER TABLE players
+  DROP COLUMN is_archived;
@@ -0,0 +1,18 @@
+-- Tracks who started a game and when, whether games are finished,
+-- the standings format of competitions and archived players.
+
+ALTER TABLE players
+  ADD COLUMN is_archived BOOLEAN DEFAULT false;
+
+ALTER TABLE competitions
+  ADD COLUMN format VARCHAR(20) DEFAULT 'cumulative',
+  ADD COLUMN match_points INTEGER[],
+  ADD COLUMN best_games INTEGER;
+
+ALTER TABLE games
+  ADD COLUMN created_by INTEGER REFERENCES users(id),
+  ADD COLUMN created_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN is_finished BOOLEAN DEFAULT false;
+
+-- games recorded so far were never finished explicitly, but are over
+UPDATE games SET is_finished = true;
@@ -0,0 +1,67 @@
+-- Moves the seats and scores back into the numbered columns, which only
+-- works for competitions and games of up to six players.
+
+ALTER TABLE competitions
+  ADD COLUMN player_1 INTEGER REFERENCES players(id),
+  ADD COLUMN player_2 INTEGER REFERENCES players(id),
+  ADD COLUMN player_3 INTEGER REFERENCES players(id),
+  ADD COLUMN player_4 INTEGER REFERENCES players(id),
+  ADD COLUMN player_5 INTEGER REFERENCES players(id),
+  ADD COLUMN player_6 INTEGER REFERENCES players(id);
+
+ALTER TABLE games
+  ADD COLUMN player_1 INTEGER REFERENCES players(id),
+  ADD COLUMN player_2 INTEGER REFERENCES players(id),
+  ADD COLUMN player_3 INTEGER REFERENCES players(id),
+  ADD COLUMN player_4 INTEGER REFERENCES players(id),
+  ADD COLUMN player_5 INTEGER REFERENCES players(id),
+  ADD COLUMN player_6 INTEGER REFERENCES players(id);
+
+ALTER TABLE rounds
+  ADD COLUMN score_1 INTEGER,
+  ADD COLUMN score_2 INTEGER,
+  ADD COLUMN score_3 INTEGER,
+  ADD COLUMN score_4 INTEGER,
+  ADD COLUMN score_5 INTEGER,
+  ADD COLUMN score_6 INTEGER;
+
+UPDATE competitions
+SET player_1 = seats.players[1], player_2 = seats.players[2],
+    player_3 = seats.players[3], player_4 = seats.players[4],
+    player_5 = seats.players[5], player_6 = seats.players[6]
+FROM (
+  SELECT competition_id, ARRAY_AGG(player_id ORDER BY seat) AS players
+  FROM competition_players
+  GROUP BY competition_id
+) AS seats
+WHERE seats.competition_id = competitions.id;
+
+UPDATE games
+SET player_1 = seats.players[1], player_2 = seats.players[2],
+    player_3 = seats.players[3], player_4 = seats.players[4],
+    player_5 = seats.players[5], player_6 = seats.players[6]
+FROM (
+  SELECT game_id, ARRAY_AGG(player_id ORDER BY seat) AS players
+  FROM game_players
+  GROUP BY game_id
+) AS seats
+WHERE seats.game_id = games.id;
+
+UPDATE rounds
+SET score_1 = seats.scores[1], score_2 = seats.scores[2],
+    score_3 = seats.scores[3], score_4 = seats.scores[4],
+    score_5 = seats.scores[5], score_6 = seats.scores[6]
+FROM (
+  SELECT rounds.id AS round_id,
+      ARRAY_AGG(round_scores.score ORDER BY game_players.seat) AS scores
+  FROM rounds
+  JOIN game_players ON game_players.game_id = rounds.game_id
+  LEFT JOIN round_scores ON round_scores.round_id = rounds.id
+      AND round_scores.player_id = game_players.player_id
+  GROUP BY rounds.id
+) AS seats
+WHERE seats.round_id = rounds.id;
+
+DROP TABLE round_scores;
+DROP TABLE game_players;
+DROP TABLE competition_players;
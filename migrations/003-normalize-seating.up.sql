@@ -0,0 +1,66 @@
+-- Moves the seats of competitions and games and the scores of rounds
+-- from the numbered player_N / score_N columns into join tables.
+
+CREATE TABLE competition_players (
+  competition_id INTEGER REFERENCES competitions(id),
+  player_id INTEGER REFERENCES players(id),
+  seat INTEGER,
+  PRIMARY KEY (competition_id, seat)
+);
+
+CREATE TABLE game_players (
+  game_id INTEGER REFERENCES games(id),
+  player_id INTEGER REFERENCES players(id),
+  seat INTEGER,
+  PRIMARY KEY (game_id, seat),
+  UNIQUE (game_id, player_id)
+);
+
+CREATE TABLE round_scores (
+  round_id INTEGER REFERENCES rounds(id),
+  player_id INTEGER REFERENCES players(id),
+  score INTEGER,
+  PRIMARY KEY (round_id, player_id)
+);
+
+-- seats are renumbered to close the gaps left by empty columns
+INSERT INTO competition_players (competition_id, player_id, seat)
+SELECT id, player_id, ROW_NUMBER() OVER (PARTITION BY id ORDER BY column_seat)
+FROM competitions
+CROSS JOIN LATERAL (VALUES
+  (1, player_1), (2, player_2), (3, player_3),
+  (4, player_4), (5, player_5), (6, player_6)
+) AS seats (column_seat, player_id)
+WHERE player_id IS NOT NULL;
+
+INSERT INTO game_players (game_id, player_id, seat)
+SELECT id, player_id, ROW_NUMBER() OVER (PARTITION BY id ORDER BY column_seat)
+FROM games
+CROSS JOIN LATERAL (VALUES
+  (1, player_1), (2, player_2), (3, player_3),
+  (4, player_4), (5, player_5), (6, player_6)
+) AS seats (column_seat, player_id)
+WHERE player_id IS NOT NULL;
+
+INSERT INTO round_scores (round_id, player_id, score)
+SELECT rounds.id, seats.player_id, seats.score
+FROM rounds
+JOIN games ON games.id = rounds.game_id
+CROSS JOIN LATERAL (VALUES
+  (games.player_1, rounds.score_1), (games.player_2, rounds.score_2),
+  (games.player_3, rounds.score_3), (games.player_4, rounds.score_4),
+  (games.player_5, rounds.score_5), (games.player_6, rounds.score_6)
+) AS seats (player_id, score)
+WHERE seats.player_id IS NOT NULL;
+
+ALTER TABLE competitions
+  DROP COLUMN player_1, DROP COLUMN player_2, DROP COLUMN player_3,
+  DROP COLUMN player_4, DROP COLUMN player_5, DROP COLUMN player_6;
+
+ALTER TABLE games
+  DROP COLUMN player_1, DROP COLUMN player_2, DROP COLUMN player_3,
+  DROP COLUMN player_4, DROP COLUMN player_5, DROP COLUMN player_6;
+
+ALTER TABLE rounds
+  DROP COLUMN score_1, DROP COLUMN score_2, DROP COLUMN score_3,
+  DROP COLUMN score_4, DROP COLUMN score_5, DROP COLUMN score_6;
@@ -0,0 +1,7 @@
+-- MD5 hashes cannot be restored, users whose passwords were already
+-- upgraded to scrypt need their passwords to be set again.
+
+UPDATE users SET password = NULL WHERE LENGTH(password) > 32;
+
+ALTER TABLE users
+  ALTER COLUMN password TYPE VARCHAR(32);
@@ -0,0 +1,5 @@
+-- Makes room for salted scrypt hashes, legacy MD5 hashes are replaced
+-- with them when users sign in.
+
+ALTER TABLE users
+  ALTER COLUMN password TYPE VARCHAR(255);
@@ -0,0 +1,4 @@
+DELETE FROM tokens;
+
+ALTER TABLE tokens
+  ALTER COLUMN token TYPE VARCHAR(16);
@@ -0,0 +1,7 @@
+-- Tokens are stored as SHA-256 hashes from now on, existing plain tokens
+-- are removed, which signs out all users.
+
+DELETE FROM tokens;
+
+ALTER TABLE tokens
+  ALTER COLUMN token TYPE VARCHAR(64);
@@ -0,0 +1,3 @@
+ALTER TABLE users
+  DROP CONSTRAINT users_username_key,
+  DROP COLUMN is_admin;
@@ -0,0 +1,9 @@
+-- Users can register themselves, so usernames have to be unique. Accounts
+-- created by hand so far belong to the people running the server, so they
+-- become admins able to register others.
+
+ALTER TABLE users
+  ADD COLUMN is_admin BOOLEAN DEFAULT false,
+  ADD CONSTRAINT users_username_key UNIQUE (username);
+
+UPDATE users SET is_admin = true;
@@ -0,0 +1,8 @@
+ALTER TABLE users
+  ADD COLUMN is_admin BOOLEAN DEFAULT false;
+
+UPDATE users SET is_admin = (role = 'admin');
+
+ALTER TABLE users
+  DROP COLUMN role,
+  DROP COLUMN player_id;
@@ -0,0 +1,12 @@
+-- Replaces the admin flag with roles and links users to the players
+-- they play as, which decides whose games they can keep score of.
+
+ALTER TABLE users
+  ADD COLUMN role VARCHAR(10) DEFAULT 'viewer'
+      CHECK (role IN ('admin', 'scorer', 'viewer')),
+  ADD COLUMN player_id INTEGER UNIQUE REFERENCES players(id) ON DELETE SET NULL;
+
+UPDATE users SET role = 'admin' WHERE is_admin;
+
+ALTER TABLE users
+  DROP COLUMN is_admin;
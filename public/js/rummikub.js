@@ -1,17 +1,29 @@
 import Error from './views/error.js';
 import Login from './views/login.js';
 import Menu from './views/menu.js';
+import NewGame from './views/new-game.js';
+import Password from './views/password.js';
+import Register from './views/register.js';
+import ScoreSheet from './views/score-sheet.js';
+import Settings from './views/settings.js';
+import Statistics from './views/statistics.js';
+import Update from './views/update.js';
 
 import API from './services/api.js';
+import Updates from './services/updates.js';
+
+const SESSION_EXPIRED = 'Your session has expired, please sign in again';
 
 export default class Rummikub extends opr.Toolkit.WebComponent {
 
   async getInitialState() {
     try {
+      const hasSession = API.hasSession();
       const data = await API.health();
       if (data === null) {
         return {
           view: 'login',
+          loginError: hasSession ? SESSION_EXPIRED : null,
         };
       }
       return {
@@ -25,13 +37,78 @@ export default class Rummikub extends opr.Toolkit.WebComponent {
     }
   }
 
-  render() {
+  onAttached() {
+    API.onSessionExpired(() => this.commands.update({
+      view: 'login',
+      loginError: SESSION_EXPIRED,
+    }));
+    API.onSync(outbox => this.onSync(outbox));
+    window.addEventListener('online', () => API.sync());
+    API.sync();
+    Updates.register(() => this.commands.update({
+      updateAvailable: true,
+    })).catch(() => {
+      // the application keeps working without the service worker
+    });
+  }
+
+  /*
+   * Shows the state of the outbox and reloads the game in progress once
+   * the writes made while offline reach the server.
+   */
+  async onSync(outbox) {
+    this.commands.update({
+      outbox,
+    });
+    const {game} = this.props;
+    if (outbox.replayed && game) {
+      try {
+        this.commands.update({
+          game: await API.game(game.id),
+        });
+      } catch (e) {
+        // the game is reloaded with the next sync
+      }
+    }
+  }
+
+  renderView() {
     switch (this.props.view) {
       case 'login':
         return [
           Login,
           this.props,
         ];
+      case 'register':
+        return [
+          Register,
+          this.props,
+        ];
+      case 'password':
+        return [
+          Password,
+          this.props,
+        ];
+      case 'new-game':
+        return [
+          NewGame,
+          this.props,
+        ];
+      case 'score-sheet':
+        return [
+          ScoreSheet,
+          this.props,
+        ];
+      case 'statistics':
+        return [
+          Statistics,
+          this.props,
+        ];
+      case 'settings':
+        return [
+          Settings,
+          this.props,
+        ];
       case 'error':
         return [
           Error,
@@ -44,4 +121,14 @@ export default class Rummikub extends opr.Toolkit.WebComponent {
         ];
     }
   }
+
+  render() {
+    return [
+      'section',
+      this.renderView(),
+      this.props.updateAvailable ? [
+        Update,
+      ] : null,
+    ];
+  }
 }
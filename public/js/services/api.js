@@ -1,3 +1,20 @@
+import Outbox from './outbox.js';
+import Seats from './seats.js';
+
+const TIMEOUT = 2000;
+const SYNC_INTERVAL = 30000;
+const RECONNECT_DELAY = 5000;
+
+// the cache of data used by the service worker while offline
+const DATA_CACHE = 'rummikub-data';
+
+let sessionExpiredHandler = null;
+let syncHandler = null;
+let syncTimer = null;
+let isSyncing = false;
+let conflicts = [];
+let watcher = null;
+
 const getHeaders = () => {
   const defaultHeaders = {
     'Content-Type': 'application/json',
@@ -12,42 +29,531 @@ const getHeaders = () => {
   return defaultHeaders;
 };
 
-const fetchData = async (path, payload) => {
+const timeout = millis => new Promise((resolve, reject) => {
+  const fail = () => {
+    const error = new Error('The server is not responding');
+    error.isTimeout = true;
+    reject(error);
+  };
+  setTimeout(fail, millis);
+});
+
+// failed fetches reject with a type error
+const isNetworkError = error => error instanceof TypeError || error.isTimeout;
+
+// writes the server refuses to accept, unlike the ones failing while
+// the server is not available, e.g. restarting or rate limiting requests
+const REJECTED_STATUSES = [400, 403, 404, 409];
+
+const isRejected = error => REJECTED_STATUSES.includes(error.status);
+
+const clearData = async () => {
+  if (window.caches) {
+    await caches.delete(DATA_CACHE);
+  }
+};
+
+/*
+ * Any request rejected as unauthorized ends the session. Once the
+ * application handles expired sessions, such requests are abandoned and
+ * never settle, as the application goes back to signing in anyway.
+ * Before that they resolve with null.
+ */
+const expireSession = () => {
+  sessionStorage.removeItem('token');
+  clearData();
+  if (sessionExpiredHandler) {
+    sessionExpiredHandler();
+    return new Promise(() => {});
+  }
+  return null;
+};
+
+const fetchData = async (path, payload, method) => {
   const options = {
+    method,
     headers: getHeaders(),
   };
   if (payload) {
     options.body = JSON.stringify(payload);
-    options.method = 'POST';
   }
-  const response = await fetch(path, options);
+  const response = await Promise.race([fetch(path, options), timeout(TIMEOUT)]);
   if (response.ok) {
     return response.json();
   }
-  if (response.status === 401) {
-    return null;
+  const {error} = await response.json().catch(() => ({}));
+  const exception = new Error(error || 'Could not fetch data');
+  exception.status = response.status;
+  if (response.status === 429) {
+    exception.retryAfter = Number(response.headers.get('Retry-After')) || 0;
   }
-  throw new Error('Could not fetch data');
+  throw exception;
 };
 
-const timeout = millis => new Promise((resolve, reject) => {
-  const fail = () => reject(new Error('Request timeout'));
-  setTimeout(fail, millis);
-});
+const toQuery = (params = {}) => {
+  const entries = Object.entries(params)
+                      .filter(([key, value]) => value !== undefined);
+  return entries.length ? `?${new URLSearchParams(entries)}` : '';
+};
+
+const fetchJSON =
+    async (path, payload = null, method = payload ? 'POST' : 'GET') => {
+      try {
+        return await fetchData(path, payload, method);
+      } catch (e) {
+        if (e.status === 401) {
+          return expireSession();
+        }
+        throw e;
+      }
+    };
+
+/*
+ * Parses a block of a Server-Sent Events stream, e.g.
+ * "event: round\ndata: {...}". Blocks without data are comments.
+ */
+const parseEvent = block => {
+  let type = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    const [, field, value] = /^([^:]*):? ?(.*)$/.exec(line);
+    if (field === 'event') {
+      type = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+  }
+  return data.length ? {
+    type,
+    data: JSON.parse(data.join('\n')),
+  } : null;
+};
+
+const readEvents = async (response, handler) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const {done, value} = await reader.read();
+    if (done) {
+      return;
+    }
+    buffer += decoder.decode(value, {
+      stream: true,
+    }).replace(/\r\n?/g, '\n');
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.map(parseEvent).filter(event => event).forEach(handler);
+  }
+};
+
+/*
+ * Streams the events of the watched game, reconnecting whenever the stream
+ * is interrupted. EventSource cannot send the authorization header, hence
+ * the stream is read with fetch.
+ */
+const watch = async current => {
+  try {
+    const response = await fetch(`/api/games/${current.id}/events`, {
+      headers: {
+        ...getHeaders(),
+        'Accept': 'text/event-stream',
+      },
+      signal: current.controller.signal,
+    });
+    if (response.status === 401) {
+      expireSession();
+      return;
+    }
+    if (!response.ok) {
+      return;
+    }
+    current.handler({
+      type: 'open',
+    });
+    await readEvents(response, current.handler);
+  } catch (e) {
+    // reconnects below, unless no longer watching
+  }
+  if (watcher === current) {
+    setTimeout(() => watcher === current && watch(current), RECONNECT_DELAY);
+  }
+};
+
+/*
+ * Returns the writes in the outbox made by the signed in user. The writes
+ * of other users wait until they sign in on this device again.
+ */
+const listOwnEntries = async () => {
+  const username = sessionStorage.getItem('username');
+  const entries = await Outbox.list();
+  return entries.filter(entry => entry.username === username);
+};
+
+const notifySync = async (replayed = 0) => {
+  if (syncHandler) {
+    const entries = await listOwnEntries().catch(() => []);
+    syncHandler({
+      pending: entries.length,
+      conflicts,
+      replayed,
+    });
+  }
+};
+
+const scheduleSync = sync => {
+  if (!syncTimer) {
+    syncTimer = setTimeout(() => {
+      syncTimer = null;
+      sync();
+    }, SYNC_INTERVAL);
+  }
+};
+
+const isAddingRound = entry =>
+    entry.method === 'POST' && entry.ordinal !== undefined;
+
+/*
+ * Removes the writes queued after adding a round which the server rejected
+ * and changing the same round, as they would overwrite the scores
+ * recorded by someone else. Returns the removed writes.
+ */
+const dropRoundChanges = async entry => {
+  const changes = (await listOwnEntries()).filter(
+      later => later.id > entry.id && later.gameId === entry.gameId &&
+          later.ordinal === entry.ordinal);
+  for (const change of changes) {
+    await Outbox.remove(change.id);
+  }
+  return changes;
+};
+
+/*
+ * Sends the write to the server, or stores it in the outbox if the device
+ * is offline or earlier writes are still waiting, so that the writes reach
+ * the server in the order they were made. Writes stored in the outbox
+ * resolve with null. A write which timed out might still reach the server,
+ * which is why the server accepts the same write sent again.
+ */
+const sendOrQueue = async (write, path, payload, method = 'POST') => {
+  const pending = await listOwnEntries().catch(() => []);
+  if (navigator.onLine && !pending.length) {
+    try {
+      return await fetchJSON(path, payload, method);
+    } catch (e) {
+      if (!isNetworkError(e)) {
+        throw e;
+      }
+    }
+  }
+  await Outbox.add({
+    ...write,
+    username: sessionStorage.getItem('username'),
+    path,
+    payload,
+    method,
+  });
+  await notifySync();
+  scheduleSync(() => API.sync());
+  return null;
+};
+
+/*
+ * Creates the round shown until a write waiting in the outbox is sent.
+ * Scores calculated from tiles are not known until then.
+ */
+const toPendingRound = (ordinal, seats, scores = []) => {
+  const round = {
+    ordinal,
+    isPending: true,
+  };
+  seats.forEach((seat, index) => {
+    round[`score_${seat}`] = index < scores.length ? scores[index] : null;
+  });
+  return round;
+};
+
+const API = {
 
-const fetchJSON = (path, payload = null) =>
-    Promise.race([fetchData(path, payload), timeout(2000)]);
+  hasSession() {
+    return Boolean(sessionStorage.getItem('token'));
+  },
+
+  onSessionExpired(handler) {
+    sessionExpiredHandler = handler;
+  },
+
+  /*
+   * Registers the handler notified about the state of the outbox:
+   * the number of pending writes, the writes rejected by the server
+   * and the number of writes sent by the last sync.
+   */
+  onSync(handler) {
+    syncHandler = handler;
+  },
+
+  /*
+   * Sends the writes waiting in the outbox in order. Writes rejected by the
+   * server are reported as conflicts, together with the later changes
+   * to a round which could not be added. Network failures and errors
+   * of the server postpone the sync until the server is available again.
+   */
+  async sync() {
+    if (isSyncing) {
+      return;
+    }
+    isSyncing = true;
+    let replayed = 0;
+    const dropped = new Set();
+    try {
+      for (const entry of await listOwnEntries()) {
+        if (dropped.has(entry.id)) {
+          continue;
+        }
+        try {
+          await fetchData(entry.path, entry.payload, entry.method);
+        } catch (e) {
+          if (e.status === 401) {
+            // the writes are sent once signed in again
+            expireSession();
+            break;
+          }
+          if (!isRejected(e)) {
+            scheduleSync(() => this.sync());
+            break;
+          }
+          const rejected = [entry];
+          if (isAddingRound(entry)) {
+            rejected.push(...await dropRoundChanges(entry));
+          }
+          rejected.forEach(write => dropped.add(write.id));
+          conflicts = [...conflicts, ...rejected.map(write => ({
+            ...write,
+            error: e.message,
+          }))];
+        }
+        await Outbox.remove(entry.id);
+        replayed++;
+      }
+    } catch (e) {
+      // the outbox is not available, e.g. in private windows
+    } finally {
+      isSyncing = false;
+      await notifySync(replayed);
+    }
+  },
 
-export default {
+  async dismissConflicts() {
+    conflicts = [];
+    await notifySync();
+  },
 
   async health() {
     return fetchJSON('/api/health');
   },
 
+  /*
+   * Signs the user in and sends the writes the user made while offline
+   * or signed out by an expired session.
+   */
   async signIn(username, password) {
-    return fetchJSON('/login', {
+    sessionStorage.removeItem('token');
+    const credentials = await fetchJSON('/login', {
       username,
       password,
     });
-  }
+    sessionStorage.setItem('token', credentials.token);
+    sessionStorage.setItem('username', credentials.username);
+    this.sync();
+  },
+
+  async register(username, password, inviteCode) {
+    return fetchJSON('/register', {
+      username,
+      password,
+      inviteCode,
+    });
+  },
+
+  async changePassword(oldPassword, newPassword) {
+    return fetchJSON('/account/password', {
+      oldPassword,
+      newPassword,
+    });
+  },
+
+  async signOut(everywhere = false) {
+    try {
+      await fetchJSON(everywhere ? '/logout/everywhere' : '/logout', {});
+    } finally {
+      sessionStorage.removeItem('token');
+      sessionStorage.removeItem('username');
+      conflicts = [];
+      await clearData();
+    }
+  },
+
+  async players() {
+    return fetchJSON('/api/players');
+  },
+
+  async createPlayer(name) {
+    return fetchJSON('/api/players', {
+      name,
+    });
+  },
+
+  async renamePlayer(id, name) {
+    return fetchJSON(`/api/players/${id}`, {
+      name,
+    }, 'PUT');
+  },
+
+  async archivePlayer(id) {
+    return fetchJSON(`/api/players/${id}/archive`, {});
+  },
+
+  async restorePlayer(id) {
+    return fetchJSON(`/api/players/${id}/restore`, {});
+  },
+
+  async deletePlayer(id) {
+    return fetchJSON(`/api/players/${id}`, null, 'DELETE');
+  },
+
+  async users() {
+    return fetchJSON('/api/users');
+  },
+
+  async updateUser(id, role, playerId) {
+    return fetchJSON(`/api/users/${id}`, {
+      role,
+      playerId,
+    }, 'PUT');
+  },
+
+  async competitions() {
+    return fetchJSON('/api/competitions');
+  },
+
+  async createGame(type, competitionId, players) {
+    return fetchJSON('/api/games', {
+      type,
+      competitionId,
+      players,
+    });
+  },
+
+  async game(id) {
+    const game = await fetchJSON(`/api/games/${id}`);
+    return game && this.applyPending(game);
+  },
+
+  /*
+   * Applies the writes to the game still waiting in the outbox, so that
+   * the rounds entered while offline are shown until they are sent.
+   */
+  async applyPending(game) {
+    const entries = (await listOwnEntries().catch(() => []))
+                        .filter(entry => entry.gameId === game.id);
+    const seats = Seats.getSeats(game);
+    let rounds = game.rounds || [];
+    let isFinished = game.isFinished;
+    for (const {ordinal, payload} of entries) {
+      if (ordinal === undefined) {
+        isFinished = true;
+        continue;
+      }
+      rounds = [
+        ...rounds.filter(round => round.ordinal !== ordinal),
+        toPendingRound(ordinal, seats, payload.scores),
+      ].sort((a, b) => a.ordinal - b.ordinal);
+    }
+    return {
+      ...game,
+      rounds,
+      isFinished,
+    };
+  },
+
+  /*
+   * Notifies the handler about the changes to the game made on other
+   * devices: the rounds added or updated and the game being finished.
+   * The "open" event is sent whenever the stream (re)connects, as changes
+   * might have been missed while disconnected. Only one game is watched
+   * at a time.
+   */
+  watchGame(id, handler) {
+    this.unwatchGame();
+    watcher = {
+      id,
+      handler,
+      controller: new AbortController(),
+    };
+    watch(watcher);
+  },
+
+  unwatchGame() {
+    if (watcher) {
+      watcher.controller.abort();
+      watcher = null;
+    }
+  },
+
+  async currentGame() {
+    return fetchJSON('/api/games/current');
+  },
+
+  async finishGame(id) {
+    return sendOrQueue({
+      description: 'Finishing the game',
+      gameId: id,
+    }, `/api/games/${id}/finish`, {});
+  },
+
+  async addRound(gameId, ordinal, scores) {
+    return sendOrQueue({
+      description: `Round ${ordinal}`,
+      gameId,
+      ordinal,
+    }, `/api/games/${gameId}/rounds`, {
+      ordinal,
+      scores,
+    });
+  },
+
+  async addRoundFromRacks(gameId, ordinal, racks) {
+    return sendOrQueue({
+      description: `Round ${ordinal}`,
+      gameId,
+      ordinal,
+    }, `/api/games/${gameId}/rounds`, {
+      ordinal,
+      racks,
+    });
+  },
+
+  async updateRound(gameId, ordinal, scores) {
+    return sendOrQueue({
+      description: `Changes to round ${ordinal}`,
+      gameId,
+      ordinal,
+    }, `/api/games/${gameId}/rounds/${ordinal}`, {
+      scores,
+    }, 'PUT');
+  },
+
+  async playerStats(filter) {
+    return fetchJSON(`/api/stats/players${toQuery(filter)}`);
+  },
+
+  async trendStats(filter) {
+    return fetchJSON(`/api/stats/trends${toQuery(filter)}`);
+  },
+
+  async headToHeadStats(filter) {
+    return fetchJSON(`/api/stats/head-to-head${toQuery(filter)}`);
+  },
 };
+
+export default API;
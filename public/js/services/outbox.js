@@ -0,0 +1,49 @@
+const DB_NAME = 'rummikub';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+let connection = null;
+
+const connect = () => {
+  if (!connection) {
+    connection = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return connection;
+};
+
+const run = async (mode, operation) => {
+  const db = await connect();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/*
+ * Writes waiting to be sent to the server, kept in IndexedDB so that they
+ * survive reloading the application. Entries are listed in the order they
+ * were added in.
+ */
+export default {
+
+  async add(entry) {
+    return run('readwrite', store => store.add(entry));
+  },
+
+  async list() {
+    return run('readonly', store => store.getAll());
+  },
+
+  async remove(id) {
+    return run('readwrite', store => store.delete(id));
+  },
+};
@@ -0,0 +1,26 @@
+const SEAT_COLUMN = /^player_(\d+)$/;
+
+/*
+ * Games and competitions come with their players in numbered columns
+ * (player_1, player_2, ...), as many as there are seats.
+ */
+export default {
+
+  /*
+   * Returns the numbers of the taken seats.
+   */
+  getSeats(row) {
+    return Object.keys(row)
+        .map(key => SEAT_COLUMN.exec(key))
+        .filter(match => match && row[match[0]] !== null)
+        .map(match => Number(match[1]))
+        .sort((a, b) => a - b);
+  },
+
+  /*
+   * Returns the identifiers of the seated players in the order of seats.
+   */
+  getPlayers(row) {
+    return this.getSeats(row).map(seat => row[`player_${seat}`]);
+  },
+};
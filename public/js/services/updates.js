@@ -0,0 +1,51 @@
+let registration = null;
+
+/*
+ * A new build is available once its service worker is installed and waits
+ * for the pages controlled by the current one to close.
+ */
+const watch = onUpdate => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onUpdate();
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdate();
+      }
+    });
+  });
+};
+
+export default {
+
+  isSupported() {
+    return 'serviceWorker' in navigator;
+  },
+
+  /*
+   * Registers the service worker and calls the handler when a new build
+   * of the application is ready to be used.
+   */
+  async register(onUpdate) {
+    if (!this.isSupported()) {
+      return;
+    }
+    registration = await navigator.serviceWorker.register('/sw.js');
+    watch(onUpdate);
+  },
+
+  /*
+   * Activates the waiting service worker and reloads the application
+   * as soon as the new build takes over.
+   */
+  apply() {
+    if (!registration || !registration.waiting) {
+      return;
+    }
+    navigator.serviceWorker.addEventListener(
+        'controllerchange', () => location.reload());
+    registration.waiting.postMessage('skip-waiting');
+  },
+};
@@ -2939,7 +2939,13 @@ limitations under the License.
   const SET_CLASS_NAME = {
     type: Symbol('set-class-name'),
     apply: function() {
-      this.target.ref.className = this.className;
+      const element = this.target.ref;
+      // SVG elements expose className as a read-only animated string
+      if (element instanceof SVGElement) {
+        element.setAttribute('class', this.className);
+      } else {
+        element.className = this.className;
+      }
     },
   };
 
@@ -3751,6 +3757,18 @@ limitations under the License.
 }
 
 {
+  const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+  const SVG_ELEMENTS = [
+    'circle',
+    'g',
+    'line',
+    'path',
+    'polyline',
+    'rect',
+    'svg',
+    'text',
+  ];
+
   const Renderer = {
 
     /*
@@ -3833,12 +3851,18 @@ limitations under the License.
      * Creates a new DOM Element based on the specified description.
      */
     createElement(description) {
-      const element = document.createElement(description.name);
+      const element = SVG_ELEMENTS.includes(description.name) ?
+          document.createElementNS(SVG_NAMESPACE, description.name) :
+          document.createElement(description.name);
       if (description.text) {
         element.textContent = description.text;
       }
       if (description.class) {
-        element.className = description.class;
+        if (element instanceof SVGElement) {
+          element.setAttribute('class', description.class);
+        } else {
+          element.className = description.class;
+        }
       }
       if (description.style) {
         for (const [prop, value] of Object.entries(description.style)) {
@@ -1,21 +1,36 @@
 import API from '../services/api.js';
 
+const toWaitTime = seconds => {
+  if (seconds < 60) {
+    return `${seconds} s`;
+  }
+  return `${Math.ceil(seconds / 60)} min`;
+};
+
 export default class Login extends opr.Toolkit.Component {
 
   async onSubmit(event) {
     event.preventDefault();
     const username = this.ref.querySelector('#username').value;
     const password = this.ref.querySelector('#password').value;
-    const payload = await API.signIn(username, password);
-    if (payload && payload.token) {
-      sessionStorage.setItem('token', payload.token);
+    try {
+      await API.signIn(username, password);
       this.commands.update({
         view: null,
+        loginError: null,
+      });
+    } catch (e) {
+      const wait = e.retryAfter && toWaitTime(e.retryAfter);
+      this.commands.update({
+        loginError: wait ?
+            `Too many sign in attempts, try again in ${wait}` :
+            e.message,
       });
     }
   }
 
   render() {
+    const {loginError} = this.props;
     return [
       'main',
       [
@@ -39,11 +54,27 @@ export default class Login extends opr.Toolkit.Component {
             placeholder: 'Password',
           },
         ],
+        loginError ? [
+          'p',
+          {
+            class: 'error',
+          },
+          loginError,
+        ] : null,
         [
           'button',
           'Sign in',
         ],
       ],
+      [
+        'button',
+        {
+          onClick: () => this.commands.update({
+            view: 'register',
+          }),
+        },
+        'Register',
+      ],
     ];
   }
 }
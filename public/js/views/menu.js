@@ -1,24 +1,91 @@
+import API from '../services/api.js';
+
 export default class Menu extends opr.Toolkit.Component {
 
+  async onAttached() {
+    try {
+      const game = await API.currentGame();
+      this.commands.update({
+        game,
+      });
+    } catch (e) {
+      this.commands.update({
+        view: 'error',
+        message: e.message,
+      });
+    }
+  }
+
+  open(view) {
+    this.commands.update({
+      view,
+    });
+  }
+
+  async signOut(everywhere = false) {
+    try {
+      await API.signOut(everywhere);
+    } catch (e) {
+      // the token is discarded anyway
+    }
+    this.commands.update({
+      view: 'login',
+      game: null,
+    });
+  }
+
   render() {
     return [
       'main',
-      [
+      this.props.game ? [
         'button',
+        {
+          onClick: () => this.open('score-sheet'),
+        },
         'Continue game',
-      ],
+      ] : null,
       [
         'button',
+        {
+          onClick: () => this.open('new-game'),
+        },
         'New game',
       ],
       [
         'button',
+        {
+          onClick: () => this.open('statistics'),
+        },
         'Statistics',
       ],
       [
         'button',
+        {
+          onClick: () => this.open('settings'),
+        },
         'Settings',
       ],
+      [
+        'button',
+        {
+          onClick: () => this.open('password'),
+        },
+        'Change password',
+      ],
+      [
+        'button',
+        {
+          onClick: () => this.signOut(),
+        },
+        'Sign out',
+      ],
+      [
+        'button',
+        {
+          onClick: () => this.signOut(true),
+        },
+        'Sign out everywhere',
+      ],
     ];
   }
 }
@@ -0,0 +1,245 @@
+import API from '../services/api.js';
+import Seats from '../services/seats.js';
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+
+const TYPES = [
+  'Standard',
+  'Timed',
+];
+
+const STEPS = [
+  'competition',
+  'players',
+  'type',
+];
+
+const INITIAL_CHOICES = {
+  step: 'competition',
+  competition: null,
+  players: [],
+  type: null,
+};
+
+export default class NewGame extends opr.Toolkit.Component {
+
+  async onAttached() {
+    if (this.props.players && this.props.competitions) {
+      return;
+    }
+    try {
+      const [players, competitions] =
+          await Promise.all([API.players(), API.competitions()]);
+      this.commands.update({
+        players,
+        competitions,
+      });
+    } catch (e) {
+      this.commands.update({
+        view: 'error',
+        message: e.message,
+      });
+    }
+  }
+
+  getChoices() {
+    return this.props.newGame || INITIAL_CHOICES;
+  }
+
+  choose(overrides) {
+    this.commands.update({
+      newGame: {
+        ...this.getChoices(),
+        error: null,
+        ...overrides,
+      },
+    });
+  }
+
+  goBack() {
+    const index = STEPS.indexOf(this.getChoices().step);
+    if (index === 0) {
+      this.commands.update({
+        view: null,
+      });
+    } else {
+      this.choose({
+        step: STEPS[index - 1],
+      });
+    }
+  }
+
+  selectCompetition(competition) {
+    this.choose({
+      step: 'players',
+      competition,
+    });
+  }
+
+  togglePlayer(id) {
+    const {players} = this.getChoices();
+    if (players.includes(id)) {
+      this.choose({
+        players: players.filter(player => player !== id),
+      });
+    } else if (players.length < MAX_PLAYERS) {
+      this.choose({
+        players: [...players, id],
+      });
+    }
+  }
+
+  async createGame() {
+    const {competition, players, type} = this.getChoices();
+    try {
+      const game = await API.createGame(type, competition.id, players);
+      this.commands.update({
+        view: 'score-sheet',
+        newGame: null,
+        game,
+      });
+    } catch (e) {
+      this.choose({
+        error: e.message,
+      });
+    }
+  }
+
+  renderCompetitions() {
+    const {competition} = this.getChoices();
+    const competitions =
+        (this.props.competitions || []).filter(item => !item.isFinished);
+    return [
+      'section',
+      [
+        'h1',
+        'Competition',
+      ],
+      ...competitions.map(item => [
+        'button',
+        {
+          class: {
+            selected: competition && competition.id === item.id,
+          },
+          onClick: () => this.selectCompetition(item),
+        },
+        item.name,
+      ]),
+    ];
+  }
+
+  getEligiblePlayers() {
+    const {competition} = this.getChoices();
+    const players =
+        (this.props.players || []).filter(player => !player.isArchived);
+    const members = competition ? Seats.getPlayers(competition) : [];
+    if (members.length) {
+      return players.filter(player => members.includes(player.id));
+    }
+    return players;
+  }
+
+  renderPlayers() {
+    const {players} = this.getChoices();
+    return [
+      'section',
+      [
+        'h1',
+        'Players',
+      ],
+      ...this.getEligiblePlayers().map(player => {
+        const seat = players.indexOf(player.id) + 1;
+        return [
+          'button',
+          {
+            class: {
+              selected: seat > 0,
+            },
+            onClick: () => this.togglePlayer(player.id),
+          },
+          seat ? `${seat}. ${player.name}` : player.name,
+        ];
+      }),
+      [
+        'button',
+        {
+          class: 'next',
+          disabled: players.length < MIN_PLAYERS,
+          onClick: () => this.choose({
+            step: 'type',
+          }),
+        },
+        'Next',
+      ],
+    ];
+  }
+
+  renderTypes() {
+    const {type, error} = this.getChoices();
+    return [
+      'section',
+      [
+        'h1',
+        'Game type',
+      ],
+      ...TYPES.map(item => [
+        'button',
+        {
+          class: {
+            selected: type === item,
+          },
+          onClick: () => this.choose({
+            type: item,
+          }),
+        },
+        item,
+      ]),
+      [
+        'button',
+        {
+          class: 'next',
+          disabled: !type,
+          onClick: this.createGame,
+        },
+        'Create game',
+      ],
+      error ? [
+        'p',
+        {
+          class: 'error',
+        },
+        error,
+      ] : null,
+    ];
+  }
+
+  renderStep() {
+    switch (this.getChoices().step) {
+      case 'players':
+        return this.renderPlayers();
+      case 'type':
+        return this.renderTypes();
+      default:
+        return this.renderCompetitions();
+    }
+  }
+
+  render() {
+    return [
+      'main',
+      {
+        class: 'wizard',
+      },
+      this.renderStep(),
+      [
+        'button',
+        {
+          class: 'back',
+          onClick: this.goBack,
+        },
+        'Back',
+      ],
+    ];
+  }
+}
@@ -0,0 +1,87 @@
+import API from '../services/api.js';
+
+export default class Password extends opr.Toolkit.Component {
+
+  async onSubmit(event) {
+    event.preventDefault();
+    const oldPassword = this.ref.querySelector('#old-password').value;
+    const newPassword = this.ref.querySelector('#new-password').value;
+    const repeated = this.ref.querySelector('#repeated-password').value;
+    if (newPassword !== repeated) {
+      this.commands.update({
+        accountError: 'Passwords do not match',
+      });
+      return;
+    }
+    try {
+      await API.changePassword(oldPassword, newPassword);
+      this.commands.update({
+        view: null,
+        accountError: null,
+      });
+    } catch (e) {
+      this.commands.update({
+        accountError: e.message,
+      });
+    }
+  }
+
+  render() {
+    const {accountError} = this.props;
+    return [
+      'main',
+      [
+        'form',
+        {
+          onSubmit: this.onSubmit,
+        },
+        [
+          'input',
+          {
+            id: 'old-password',
+            type: 'password',
+            placeholder: 'Current password',
+          },
+        ],
+        [
+          'input',
+          {
+            id: 'new-password',
+            type: 'password',
+            placeholder: 'New password',
+          },
+        ],
+        [
+          'input',
+          {
+            id: 'repeated-password',
+            type: 'password',
+            placeholder: 'Repeat new password',
+          },
+        ],
+        accountError ? [
+          'p',
+          {
+            class: 'error',
+          },
+          accountError,
+        ] : null,
+        [
+          'button',
+          'Change password',
+        ],
+      ],
+      [
+        'button',
+        {
+          class: 'back',
+          onClick: () => this.commands.update({
+            view: null,
+            accountError: null,
+          }),
+        },
+        'Back',
+      ],
+    ];
+  }
+}
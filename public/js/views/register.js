@@ -0,0 +1,83 @@
+import API from '../services/api.js';
+
+export default class Register extends opr.Toolkit.Component {
+
+  async onSubmit(event) {
+    event.preventDefault();
+    const username = this.ref.querySelector('#username').value;
+    const password = this.ref.querySelector('#password').value;
+    const inviteCode = this.ref.querySelector('#invite-code').value;
+    try {
+      await API.register(username, password, inviteCode);
+      await API.signIn(username, password);
+      this.commands.update({
+        view: null,
+        accountError: null,
+      });
+    } catch (e) {
+      this.commands.update({
+        accountError: e.message,
+      });
+    }
+  }
+
+  render() {
+    const {accountError} = this.props;
+    return [
+      'main',
+      [
+        'form',
+        {
+          onSubmit: this.onSubmit,
+        },
+        [
+          'input',
+          {
+            id: 'username',
+            type: 'text',
+            placeholder: 'Name',
+            maxLength: 20,
+          },
+        ],
+        [
+          'input',
+          {
+            id: 'password',
+            type: 'password',
+            placeholder: 'Password',
+          },
+        ],
+        [
+          'input',
+          {
+            id: 'invite-code',
+            type: 'text',
+            placeholder: 'Invite code',
+          },
+        ],
+        accountError ? [
+          'p',
+          {
+            class: 'error',
+          },
+          accountError,
+        ] : null,
+        [
+          'button',
+          'Register',
+        ],
+      ],
+      [
+        'button',
+        {
+          class: 'back',
+          onClick: () => this.commands.update({
+            view: 'login',
+            accountError: null,
+          }),
+        },
+        'Back',
+      ],
+    ];
+  }
+}
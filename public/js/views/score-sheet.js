@@ -0,0 +1,364 @@
+import API from '../services/api.js';
+import Seats from '../services/seats.js';
+
+const toScore = value => Number.parseInt(value, 10);
+
+const toTile = token =>
+    /^j/i.test(token) ? {joker: true} : {number: Number(token)};
+
+/*
+ * Parses the tiles left on a rack typed as numbers, with "J" for jokers,
+ * e.g. "3 11 j 7".
+ */
+const toRack = value =>
+    value.split(/[\s,]+/).filter(token => token).map(toTile);
+
+export default class ScoreSheet extends opr.Toolkit.Component {
+
+  onAttached() {
+    this.load();
+    API.watchGame(this.props.game.id, event => this.onGameEvent(event));
+  }
+
+  onDetached() {
+    API.unwatchGame();
+  }
+
+  async load() {
+    const {game, players} = this.props;
+    try {
+      const [current, roster] =
+          await Promise.all([API.game(game.id), players || API.players()]);
+      this.commands.update({
+        game: current,
+        players: roster,
+      });
+    } catch (e) {
+      this.commands.update({
+        view: 'error',
+        message: e.message,
+      });
+    }
+  }
+
+  /*
+   * Applies the changes made on other devices. The game is reloaded
+   * whenever the event stream connects, as changes made in the meantime
+   * are not sent.
+   */
+  onGameEvent({type, data}) {
+    switch (type) {
+      case 'open':
+        this.load();
+        break;
+      case 'round':
+        this.setRounds(
+            [
+              ...this.getRounds().filter(
+                  round => round.ordinal !== data.ordinal),
+              data,
+            ].sort((a, b) => a.ordinal - b.ordinal),
+            this.props.scoreError);
+        break;
+      case 'finish':
+        this.commands.update({
+          game: data,
+        });
+        break;
+    }
+  }
+
+  getRounds() {
+    return this.props.game.rounds || [];
+  }
+
+  getPlayerName(seat) {
+    const id = this.props.game[`player_${seat}`];
+    const player = (this.props.players || []).find(player => player.id === id);
+    return player ? player.name : `Player ${seat}`;
+  }
+
+  setRounds(rounds, scoreError = null) {
+    this.commands.update({
+      game: {
+        ...this.props.game,
+        rounds,
+      },
+      scoreError,
+    });
+  }
+
+  replaceRound(round) {
+    this.setRounds(this.getRounds().map(
+        item => item.ordinal === round.ordinal ? round : item));
+  }
+
+  editScore(ordinal, seat, value) {
+    const score = toScore(value);
+    if (Number.isNaN(score)) {
+      return;
+    }
+    const round = this.getRounds().find(round => round.ordinal === ordinal);
+    this.replaceRound({
+      ...round,
+      [`score_${seat}`]: score,
+    });
+  }
+
+  /*
+   * Shows the writes which were stored in the outbox instead of being sent.
+   */
+  async showPending() {
+    this.commands.update({
+      game: await API.applyPending(this.props.game),
+      scoreError: null,
+    });
+  }
+
+  async saveRound(ordinal) {
+    const {game} = this.props;
+    const round = this.getRounds().find(round => round.ordinal === ordinal);
+    const scores = Seats.getSeats(game).map(seat => round[`score_${seat}`]);
+    try {
+      const saved = await API.updateRound(game.id, ordinal, scores);
+      if (saved) {
+        this.replaceRound(saved);
+      } else {
+        await this.showPending();
+      }
+    } catch (e) {
+      this.setRounds(this.getRounds(), e.message);
+    }
+  }
+
+  async addRound(event) {
+    event.preventDefault();
+    const form = event.target;
+    const {game, rackEntry} = this.props;
+    const rounds = this.getRounds();
+    const values = [...form.querySelectorAll('input')]
+                       .map(input => input.value);
+    const scores = values.map(toScore);
+    if (!rackEntry && scores.some(Number.isNaN)) {
+      this.setRounds(rounds, 'Enter a score for every player');
+      return;
+    }
+    const ordinal =
+        rounds.reduce((max, round) => Math.max(max, round.ordinal), 0) + 1;
+    try {
+      const round = rackEntry ?
+          await API.addRoundFromRacks(game.id, ordinal, values.map(toRack)) :
+          await API.addRound(game.id, ordinal, scores);
+      form.reset();
+      if (round) {
+        this.setRounds([...rounds, round]);
+      } else {
+        await this.showPending();
+      }
+    } catch (e) {
+      this.setRounds(rounds, e.message);
+    }
+  }
+
+  toggleRackEntry() {
+    this.commands.update({
+      rackEntry: !this.props.rackEntry,
+    });
+  }
+
+  async finishGame() {
+    try {
+      await API.finishGame(this.props.game.id);
+      this.commands.update({
+        view: null,
+        game: null,
+      });
+    } catch (e) {
+      this.setRounds(this.getRounds(), e.message);
+    }
+  }
+
+  renderOutbox() {
+    const {pending = 0, conflicts = []} = this.props.outbox || {};
+    return [
+      'section',
+      {
+        class: 'outbox',
+      },
+      pending ? [
+        'p',
+        pending === 1 ? '1 change waiting to be sent' :
+                        `${pending} changes waiting to be sent`,
+      ] : null,
+      ...conflicts.map(conflict => [
+        'p',
+        {
+          key: conflict.id,
+          class: 'error',
+        },
+        `${conflict.description} could not be saved: ${conflict.error}`,
+      ]),
+      conflicts.length ? [
+        'button',
+        {
+          onClick: () => API.dismissConflicts(),
+        },
+        'Dismiss',
+      ] : null,
+    ];
+  }
+
+  renderHeader(seats) {
+    return [
+      'tr',
+      [
+        'th',
+        '#',
+      ],
+      ...seats.map(seat => [
+        'th',
+        this.getPlayerName(seat),
+      ]),
+    ];
+  }
+
+  renderRound(round, seats) {
+    return [
+      'tr',
+      {
+        key: round.ordinal,
+        class: {
+          pending: Boolean(round.isPending),
+        },
+      },
+      [
+        'td',
+        String(round.ordinal),
+      ],
+      ...seats.map(seat => [
+        'td',
+        [
+          'input',
+          {
+            type: 'number',
+            step: 1,
+            value: round[`score_${seat}`],
+            readOnly: Boolean(this.props.game.isFinished),
+            onInput: event =>
+                this.editScore(round.ordinal, seat, event.target.value),
+            onChange: () => this.saveRound(round.ordinal),
+          },
+        ],
+      ]),
+    ];
+  }
+
+  renderTotals(seats) {
+    const rounds = this.getRounds();
+    return [
+      'tr',
+      {
+        class: 'totals',
+      },
+      [
+        'td',
+        '=',
+      ],
+      ...seats.map(seat => [
+        'td',
+        String(rounds.reduce(
+            (total, round) => total + (round[`score_${seat}`] || 0), 0)),
+      ]),
+    ];
+  }
+
+  renderForm(seats) {
+    const {rackEntry} = this.props;
+    return [
+      'form',
+      {
+        onSubmit: this.addRound,
+      },
+      [
+        'table',
+        [
+          'tr',
+          [
+            'td',
+            '+',
+          ],
+          ...seats.map(seat => [
+            'td',
+            [
+              'input',
+              {
+                key: rackEntry ? `rack-${seat}` : `score-${seat}`,
+                type: rackEntry ? 'text' : 'number',
+                step: rackEntry ? null : 1,
+                placeholder: rackEntry ? 'Tiles' : this.getPlayerName(seat),
+              },
+            ],
+          ]),
+        ],
+      ],
+      [
+        'button',
+        {
+          type: 'button',
+          class: 'toggle',
+          onClick: this.toggleRackEntry,
+        },
+        rackEntry ? 'Enter scores' : 'Enter tiles',
+      ],
+      [
+        'button',
+        'Add round',
+      ],
+    ];
+  }
+
+  render() {
+    const seats = Seats.getSeats(this.props.game);
+    return [
+      'main',
+      {
+        class: 'score-sheet',
+      },
+      [
+        'table',
+        this.renderHeader(seats),
+        ...this.getRounds().map(round => this.renderRound(round, seats)),
+        this.renderTotals(seats),
+      ],
+      this.renderOutbox(),
+      this.props.scoreError ? [
+        'p',
+        {
+          class: 'error',
+        },
+        this.props.scoreError,
+      ] : null,
+      ...this.props.game.isFinished ? [] : [
+        this.renderForm(seats),
+        [
+          'button',
+          {
+            class: 'finish',
+            onClick: this.finishGame,
+          },
+          'Finish game',
+        ],
+      ],
+      [
+        'button',
+        {
+          class: 'back',
+          onClick: () => this.commands.update({
+            view: null,
+          }),
+        },
+        'Back',
+      ],
+    ];
+  }
+}
@@ -0,0 +1,210 @@
+import API from '../services/api.js';
+
+const ROLES = ['viewer', 'scorer', 'admin'];
+
+const toPlayerId = value => value ? Number(value) : null;
+
+export default class Settings extends opr.Toolkit.Component {
+
+  async onAttached() {
+    await this.reload();
+  }
+
+  async reload(settingsError = null) {
+    try {
+      const [players, users] = await Promise.all([
+        API.players(),
+        // only admins can manage users
+        API.users().catch(() => null),
+      ]);
+      this.commands.update({
+        players,
+        users,
+        settingsError,
+      });
+    } catch (e) {
+      this.commands.update({
+        view: 'error',
+        message: e.message,
+      });
+    }
+  }
+
+  async modify(action) {
+    try {
+      await action();
+      await this.reload();
+    } catch (e) {
+      await this.reload(e.message);
+    }
+  }
+
+  async addPlayer(event) {
+    event.preventDefault();
+    const form = event.target;
+    const name = form.querySelector('input').value;
+    await this.modify(() => API.createPlayer(name));
+    form.reset();
+  }
+
+  renderPlayer(player) {
+    return [
+      'li',
+      {
+        key: player.id,
+        class: {
+          archived: player.isArchived,
+        },
+      },
+      [
+        'input',
+        {
+          type: 'text',
+          value: player.name,
+          maxLength: 30,
+          onChange: event => this.modify(
+              () => API.renamePlayer(player.id, event.target.value)),
+        },
+      ],
+      player.isPrimary ? null : [
+        'button',
+        {
+          onClick: () => this.modify(
+              () => player.isArchived ? API.restorePlayer(player.id) :
+                                        API.archivePlayer(player.id)),
+        },
+        player.isArchived ? 'Restore' : 'Archive',
+      ],
+      player.isPrimary ? null : [
+        'button',
+        {
+          onClick: () => this.modify(() => API.deletePlayer(player.id)),
+        },
+        'Delete',
+      ],
+    ];
+  }
+
+  renderUser(user, players) {
+    return [
+      'li',
+      {
+        key: user.id,
+      },
+      [
+        'span',
+        user.username,
+      ],
+      [
+        'select',
+        {
+          onChange: event => this.modify(
+              () => API.updateUser(user.id, event.target.value, user.playerId)),
+        },
+        ...ROLES.map(role => [
+          'option',
+          {
+            value: role,
+            selected: role === user.role,
+          },
+          role,
+        ]),
+      ],
+      [
+        'select',
+        {
+          onChange: event => this.modify(
+              () => API.updateUser(
+                  user.id, user.role, toPlayerId(event.target.value))),
+        },
+        [
+          'option',
+          {
+            value: '',
+            selected: user.playerId === null,
+          },
+          'No player',
+        ],
+        ...players.map(player => [
+          'option',
+          {
+            value: String(player.id),
+            selected: player.id === user.playerId,
+          },
+          player.name,
+        ]),
+      ],
+    ];
+  }
+
+  renderUsers(users, players) {
+    return [
+      'section',
+      {
+        class: 'users',
+      },
+      [
+        'h1',
+        'Users',
+      ],
+      [
+        'ul',
+        ...users.map(user => this.renderUser(user, players)),
+      ],
+    ];
+  }
+
+  render() {
+    const {players = [], users, settingsError} = this.props;
+    return [
+      'main',
+      {
+        class: 'settings',
+      },
+      [
+        'h1',
+        'Players',
+      ],
+      [
+        'ul',
+        ...players.map(player => this.renderPlayer(player)),
+      ],
+      settingsError ? [
+        'p',
+        {
+          class: 'error',
+        },
+        settingsError,
+      ] : null,
+      [
+        'form',
+        {
+          onSubmit: this.addPlayer,
+        },
+        [
+          'input',
+          {
+            type: 'text',
+            placeholder: 'Name',
+            maxLength: 30,
+          },
+        ],
+        [
+          'button',
+          'Add player',
+        ],
+      ],
+      users ? this.renderUsers(users, players) : null,
+      [
+        'button',
+        {
+          class: 'back',
+          onClick: () => this.commands.update({
+            view: null,
+          }),
+        },
+        'Back',
+      ],
+    ];
+  }
+}
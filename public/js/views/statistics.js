@@ -0,0 +1,277 @@
+import API from '../services/api.js';
+
+const COLORS = [
+  '#e0463b',
+  '#3b8de0',
+  '#e0a93b',
+  '#d2d2d2',
+  '#4bbf73',
+  '#a35de0',
+];
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 500;
+const CHART_PADDING = 20;
+
+const toFilter = competitionId => ({
+  competitionId: competitionId || undefined,
+});
+
+const toPercent = value => value === null ? '-' : `${Math.round(value * 100)}%`;
+
+const toFixed = value => value === null ? '-' : value.toFixed(1);
+
+const byRanking = (first, second) =>
+    (second.winRate || 0) - (first.winRate || 0) ||
+    second.gamesWon - first.gamesWon ||
+    (second.averageScore || 0) - (first.averageScore || 0);
+
+export default class Statistics extends opr.Toolkit.Component {
+
+  async onAttached() {
+    const {stats = {}} = this.props;
+    await this.load(stats.competitionId || '');
+  }
+
+  async load(competitionId) {
+    try {
+      const filter = toFilter(competitionId);
+      const [competitions, players, trends, headToHead] = await Promise.all([
+        this.props.competitions || API.competitions(),
+        API.playerStats(filter),
+        API.trendStats(filter),
+        API.headToHeadStats(filter),
+      ]);
+      this.commands.update({
+        competitions,
+        stats: {
+          competitionId,
+          players,
+          trends,
+          headToHead,
+        },
+      });
+    } catch (e) {
+      this.commands.update({
+        view: 'error',
+        message: e.message,
+      });
+    }
+  }
+
+  renderFilter(competitionId) {
+    const toValue = id => id === null ? 'null' : String(id);
+    return [
+      'select',
+      {
+        onChange: event => this.load(event.target.value),
+      },
+      [
+        'option',
+        {
+          value: '',
+          selected: !competitionId,
+        },
+        'All games',
+      ],
+      ...(this.props.competitions || []).map(competition => [
+        'option',
+        {
+          value: toValue(competition.id),
+          selected: toValue(competition.id) === competitionId,
+        },
+        competition.name,
+      ]),
+    ];
+  }
+
+  renderLeaderboard(players) {
+    const ranked = players.filter(player => player.rounds > 0).sort(byRanking);
+    return [
+      'table',
+      {
+        class: 'leaderboard',
+      },
+      [
+        'tr',
+        ...['', 'Won', 'Win', 'Avg', 'Best', 'Worst'].map(title => [
+          'th',
+          title,
+        ]),
+      ],
+      ...ranked.map(player => [
+        'tr',
+        {
+          key: player.id,
+        },
+        [
+          'td',
+          player.name,
+        ],
+        [
+          'td',
+          `${player.gamesWon}/${player.gamesPlayed}`,
+        ],
+        [
+          'td',
+          toPercent(player.winRate),
+        ],
+        [
+          'td',
+          toFixed(player.averageScore),
+        ],
+        [
+          'td',
+          String(player.bestRound),
+        ],
+        [
+          'td',
+          String(player.worstRound),
+        ],
+      ]),
+    ];
+  }
+
+  renderTrends(trends) {
+    const series = trends.filter(entry => entry.points.length);
+    const points = series.flatMap(entry => entry.points);
+    const games = [...new Set(
+        [...points]
+            .sort((first, second) => first.date < second.date ? -1 : 1)
+            .map(point => point.gameId))];
+    const totals = [0, ...points.map(point => point.total)];
+    const min = Math.min(...totals);
+    const max = Math.max(...totals);
+    const x = gameId => CHART_PADDING +
+        (CHART_WIDTH - 2 * CHART_PADDING) * games.indexOf(gameId) /
+            Math.max(games.length - 1, 1);
+    const y = total => CHART_PADDING +
+        (CHART_HEIGHT - 2 * CHART_PADDING) * (max - total) /
+            Math.max(max - min, 1);
+    return [
+      'section',
+      {
+        class: 'trends',
+      },
+      [
+        'svg',
+        {
+          attrs: {
+            viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+          },
+        },
+        [
+          'line',
+          {
+            attrs: {
+              x1: 0,
+              y1: y(0),
+              x2: CHART_WIDTH,
+              y2: y(0),
+              stroke: '#3e4852',
+              'stroke-width': 3,
+            },
+          },
+        ],
+        ...series.map((entry, index) => [
+          'polyline',
+          {
+            key: entry.id,
+            attrs: {
+              points: entry.points
+                          .map(point => `${x(point.gameId)},${y(point.total)}`)
+                          .join(' '),
+              fill: 'none',
+              stroke: COLORS[index % COLORS.length],
+              'stroke-width': 6,
+              'stroke-linejoin': 'round',
+            },
+          },
+        ]),
+      ],
+      [
+        'ul',
+        {
+          class: 'legend',
+        },
+        ...series.map((entry, index) => [
+          'li',
+          {
+            key: entry.id,
+            style: {
+              color: COLORS[index % COLORS.length],
+            },
+          },
+          entry.name,
+        ]),
+      ],
+    ];
+  }
+
+  renderHeadToHead(players, records) {
+    const rivals = players.filter(
+        player => records.some(record => record.playerId === player.id));
+    const find = (player, opponent) => records.find(
+        record => record.playerId === player.id &&
+            record.opponentId === opponent.id);
+    return [
+      'table',
+      {
+        class: 'head-to-head',
+      },
+      [
+        'tr',
+        [
+          'th',
+        ],
+        ...rivals.map(opponent => [
+          'th',
+          opponent.name.slice(0, 3),
+        ]),
+      ],
+      ...rivals.map(player => [
+        'tr',
+        {
+          key: player.id,
+        },
+        [
+          'th',
+          player.name,
+        ],
+        ...rivals.map(opponent => {
+          const record = find(player, opponent);
+          return [
+            'td',
+            record ? `${record.wins}-${record.games - record.wins}` : '',
+          ];
+        }),
+      ]),
+    ];
+  }
+
+  render() {
+    const {stats} = this.props;
+    return [
+      'main',
+      {
+        class: 'statistics',
+      },
+      this.renderFilter(stats && stats.competitionId),
+      ...stats ? [
+        this.renderLeaderboard(stats.players),
+        this.renderTrends(stats.trends),
+        this.renderHeadToHead(stats.players, stats.headToHead),
+      ] : [],
+      [
+        'button',
+        {
+          class: 'back',
+          onClick: () => this.commands.update({
+            view: null,
+          }),
+        },
+        'Back',
+      ],
+    ];
+  }
+}
@@ -0,0 +1,34 @@
+import Updates from '../services/updates.js';
+
+export default class Update extends opr.Toolkit.Component {
+
+  render() {
+    return [
+      'aside',
+      {
+        class: 'update',
+      },
+      [
+        'p',
+        'A new version of Rummikub XP is available',
+      ],
+      [
+        'button',
+        {
+          onClick: () => Updates.apply(),
+        },
+        'Update',
+      ],
+      [
+        'button',
+        {
+          class: 'later',
+          onClick: () => this.commands.update({
+            updateAvailable: false,
+          }),
+        },
+        'Later',
+      ],
+    ];
+  }
+}
@@ -0,0 +1,110 @@
+const VERSION = 6;
+
+const SHELL_CACHE = `rummikub-shell-v${VERSION}`;
+const DATA_CACHE = 'rummikub-data';
+
+const SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/css/main.css',
+  '/img/icons/joker-180.png',
+  '/img/icons/joker-192.png',
+  '/img/icons/joker-512.png',
+  '/img/icons/joker-maskable-192.png',
+  '/img/icons/joker-maskable-512.png',
+  '/img/rummikub.png',
+  '/js/toolkit.js',
+  '/js/render.js',
+  '/js/rummikub.js',
+  '/js/services/api.js',
+  '/js/services/outbox.js',
+  '/js/services/seats.js',
+  '/js/services/updates.js',
+  '/js/views/error.js',
+  '/js/views/login.js',
+  '/js/views/menu.js',
+  '/js/views/new-game.js',
+  '/js/views/password.js',
+  '/js/views/register.js',
+  '/js/views/score-sheet.js',
+  '/js/views/settings.js',
+  '/js/views/statistics.js',
+  '/js/views/update.js',
+];
+
+/*
+ * Serves the files of the build installed with this service worker. Only
+ * installing the service worker of a new build fills the cache, so that
+ * the files of two builds are never mixed.
+ */
+const fromShell = async request => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, {
+    ignoreSearch: true,
+  });
+  return cached || fetch(request);
+};
+
+/*
+ * Prefers fresh data, falling back to the data last fetched while offline.
+ */
+const fromNetwork = async request => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return cached;
+    }
+    throw e;
+  }
+};
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+      // bypasses the HTTP cache, which might still hold the previous build
+      caches.open(SHELL_CACHE).then(cache => cache.addAll(
+          SHELL.map(url => new Request(url, {
+            cache: 'reload',
+          })))));
+});
+
+/*
+ * A new build waits until the user chooses to update, so that the pages
+ * open do not mix the files of two builds.
+ */
+self.addEventListener('message', event => {
+  if (event.data === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys().then(keys => Promise.all(
+      keys.filter(key => key.startsWith('rummikub-shell-') &&
+                      key !== SHELL_CACHE)
+          .map(key => caches.delete(key)))));
+});
+
+self.addEventListener('fetch', event => {
+  const {request} = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+  // event streams never end, so they cannot be cached
+  if (request.headers.get('Accept') === 'text/event-stream') {
+    return;
+  }
+  if (url.pathname.startsWith('/api/')) {
+    event.respondWith(fromNetwork(request));
+  } else {
+    event.respondWith(fromShell(request));
+  }
+});
@@ -1,30 +1,151 @@
 const crypto = require('crypto');
 
+const Auth = require('../services/auth.js');
+const Events = require('../services/events.js');
+const Limiter = require('../services/limiter.js');
+const Passwords = require('../services/passwords.js');
 const Postgres = require('../services/postgres.js');
+const Tokens = require('../services/tokens.js');
 
-const salt = process.env.HASH_SALT || '';
+const AccessTokens = require('../repositories/access-tokens.js');
+const Users = require('../repositories/users.js');
 
-const createHash = string =>
-    crypto.createHash('md5').update(`${string}${salt}`).digest('hex');
+const MIN_PASSWORD_LENGTH = 8;
 
-const createToken = (length = 16) =>
-    createHash(String(Math.random())).slice(0, length);
+// SQLSTATE of an insert conflicting with a unique constraint
+const UNIQUE_VIOLATION = '23505';
+
+const inviteCode = process.env.INVITE_CODE || '';
+
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isInviteCode = code => {
+  if (!inviteCode || typeof code !== 'string') {
+    return false;
+  }
+  const expected = Tokens.hash(inviteCode);
+  const actual = Tokens.hash(code);
+  return crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+};
+
+const validateUsername = username => {
+  if (typeof username !== 'string' || !/^[\w.-]{1,20}$/.test(username)) {
+    throw createError(
+        400, 'Username has to be up to 20 letters, digits, dots or dashes');
+  }
+  return username;
+};
+
+const validatePassword = password => {
+  if (typeof password !== 'string' ||
+      password.length < MIN_PASSWORD_LENGTH) {
+    throw createError(
+        400,
+        `Password has to be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  return password;
+};
 
 module.exports = {
 
-  async signIn(username, password) {
-    const hash = createHash(password);
-    const user = await Postgres.findUser(username, hash);
-    if (user) {
-      const token = createToken();
-      await Postgres.insertToken(user.id, token);
-      console.log(
-          `=> User "${username}" signed in, access token is "${token}"`);
-      return {
-        username,
-        token,
-      };
-    }
-    return null;
+  /*
+   * Issues an access token for valid credentials. Failed attempts are
+   * limited per client address and username.
+   */
+  async signIn({username, password} = {}, ip) {
+    const wait = Limiter.getWaitTime(ip, username);
+    if (wait) {
+      const error = createError(429, 'Too many sign in attempts');
+      error.retryAfter = wait;
+      throw error;
+    }
+    const user = await Users.find(username);
+    if (!user || !await Passwords.verify(password, user.password)) {
+      Limiter.registerFailure(ip, username);
+      throw createError(403, 'Invalid username or password');
+    }
+    Limiter.registerSuccess(ip, username);
+    if (Passwords.isLegacy(user.password)) {
+      await Users.updatePassword(user.id, await Passwords.hash(password));
+      console.log(`=> Upgraded password hash of user "${username}"`);
+    }
+    const token = Tokens.create();
+    await AccessTokens.insert(user.id, Tokens.hash(token));
+    console.log(`=> User "${username}" signed in`);
+    return {
+      username,
+      token,
+    };
+  },
+
+  /*
+   * Creates a user account. Anyone knowing the invite code configured
+   * for the server can register, while admins can always register others.
+   */
+  async register({username, password, inviteCode}, requester = null) {
+    const isAdmin = Boolean(requester && Auth.hasRole(requester.user, 'admin'));
+    if (!isAdmin && !isInviteCode(inviteCode)) {
+      throw createError(403, 'Invalid invite code');
+    }
+    validateUsername(username);
+    validatePassword(password);
+    if (await Users.find(username)) {
+      throw createError(409, 'Username is already taken');
+    }
+    const hash = await Passwords.hash(password);
+    let user;
+    try {
+      user = await Users.insert(username, hash);
+    } catch (e) {
+      // someone else registered the same username in the meantime
+      if (e.code === UNIQUE_VIOLATION) {
+        throw createError(409, 'Username is already taken');
+      }
+      throw e;
+    }
+    console.log(`=> User "${username}" registered`);
+    return {
+      username: user.username,
+    };
+  },
+
+  /*
+   * Changes the password after verifying the current one and signs out
+   * all other sessions of the user.
+   */
+  async changePassword({user, token}, {oldPassword, newPassword}) {
+    const {password} = await Users.find(user.username);
+    if (!await Passwords.verify(oldPassword, password)) {
+      throw createError(403, 'Invalid password');
+    }
+    validatePassword(newPassword);
+    const hash = await Passwords.hash(newPassword);
+    await Postgres.transaction(async db => {
+      await Users.updatePassword(user.id, hash, db);
+      await AccessTokens.removeAll(user.id, token, db);
+    });
+    Events.closeUser(user.id, token);
+    console.log(`=> User "${user.username}" changed the password`);
+    return {};
+  },
+
+  /*
+   * Revokes the access token used for the request, or all tokens
+   * of the user when signing out everywhere.
+   */
+  async signOut({user, token}, everywhere = false) {
+    if (everywhere) {
+      await AccessTokens.removeAll(user.id);
+      Events.closeUser(user.id);
+    } else {
+      await AccessTokens.remove(token);
+      Events.closeToken(token);
+    }
+    console.log(`=> User "${user.username}" signed out`);
+    return {};
   },
 };
@@ -1,4 +1,19 @@
+const Auth = require('../services/auth.js');
+const Events = require('../services/events.js');
 const Postgres = require('../services/postgres.js');
+const Scoring = require('../services/scoring.js');
+const Standings = require('../services/standings.js');
+const Statistics = require('../services/statistics.js');
+
+const Columns = require('../repositories/columns.js');
+const Competitions = require('../repositories/competitions.js');
+const Games = require('../repositories/games.js');
+const Players = require('../repositories/players.js');
+const Rounds = require('../repositories/rounds.js');
+const Users = require('../repositories/users.js');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
 
 const camelCase = string =>
     string.replace(/_([a-z])/g, match => match.slice(1).toUpperCase());
@@ -11,21 +26,304 @@ const normalizeKeys = object => {
   return result;
 };
 
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const toId = value => {
+  const id = Number(value);
+  if (Number.isInteger(id) && id > 0) {
+    return id;
+  }
+  throw createError(400, 'Invalid identifier');
+};
+
+/*
+ * Scorers can only keep score of the games they are seated in themselves,
+ * while admins can keep score of any game.
+ */
+const authorizeScoring = (user, players) => {
+  if (!Auth.hasRole(user, 'admin') && !players.includes(user.player_id)) {
+    throw createError(
+        403, 'Only players seated in the game can keep its score');
+  }
+};
+
+// the changes to a game are published to everyone watching its score sheet
+const toChannel = game => `game-${game.id}`;
+
+const findGame = async id => {
+  const game = await Games.get(toId(id));
+  if (game) {
+    return game;
+  }
+  throw createError(404, 'Game not found');
+};
+
+const findOpenGame = async id => {
+  const game = await findGame(id);
+  if (game.is_finished) {
+    throw createError(409, 'Game is already finished');
+  }
+  return game;
+};
+
+const withRounds = async game => {
+  const rounds = await Rounds.getByGame(game.id);
+  return {
+    ...normalizeKeys(game),
+    rounds: rounds.map(normalizeKeys),
+  };
+};
+
+const findCompetition = async id => {
+  const competition = await Competitions.get(toId(id));
+  if (competition) {
+    return competition;
+  }
+  throw createError(404, 'Competition not found');
+};
+
+const findOpenCompetition = async id => {
+  const competition = await findCompetition(id);
+  if (competition.is_finished) {
+    throw createError(409, 'Competition is already finished');
+  }
+  return competition;
+};
+
+const findPlayer = async id => {
+  const player = await Players.get(toId(id));
+  if (player) {
+    return player;
+  }
+  throw createError(404, 'Player not found');
+};
+
+const findSecondaryPlayer = async id => {
+  const player = await findPlayer(id);
+  if (player.is_primary) {
+    throw createError(409, 'Primary players cannot be archived or deleted');
+  }
+  return player;
+};
+
+const findUser = async id => {
+  const user = await Users.get(toId(id));
+  if (user) {
+    return user;
+  }
+  throw createError(404, 'User not found');
+};
+
+const validateName = (name, maxLength = 20) => {
+  if (typeof name !== 'string' || !name.trim() ||
+      name.trim().length > maxLength) {
+    throw createError(400, 'Invalid name');
+  }
+  return name.trim();
+};
+
+const isMatchPoints = points => Array.isArray(points) &&
+    points.length > 0 && points.length <= MAX_PLAYERS &&
+    points.every(value => Number.isInteger(value) && value >= 0);
+
+const validateFormat = ({format = 'cumulative', matchPoints, bestGames}) => {
+  if (!Standings.isFormat(format)) {
+    throw createError(
+        400, `Format has to be one of: ${Standings.FORMATS.join(', ')}`);
+  }
+  if (matchPoints !== undefined && !isMatchPoints(matchPoints)) {
+    throw createError(400, 'Invalid match points');
+  }
+  if (bestGames !== undefined &&
+      (!Number.isInteger(bestGames) || bestGames < 1)) {
+    throw createError(400, 'Invalid number of best games');
+  }
+  return {
+    format,
+    matchPoints: format === 'match-points' ? matchPoints || null : null,
+    bestGames: format === 'best-games' ? bestGames || null : null,
+  };
+};
+
+const toStandingsOptions = competition => ({
+  format: competition.format || undefined,
+  matchPoints: competition.match_points || undefined,
+  bestGames: competition.best_games || undefined,
+});
+
+const validateType = type => {
+  if (typeof type !== 'string' || !type.trim() || type.length > 20) {
+    throw createError(400, 'Invalid game type');
+  }
+  return type.trim();
+};
+
+const validatePlayers = async (ids, min = MIN_PLAYERS) => {
+  if (!Array.isArray(ids) || ids.length < min || ids.length > MAX_PLAYERS) {
+    throw createError(400, `Expected ${min} to ${MAX_PLAYERS} players`);
+  }
+  const seated = ids.map(toId);
+  if (new Set(seated).size !== seated.length) {
+    throw createError(400, 'Players have to be unique');
+  }
+  const players = await Players.getAll();
+  const active = players.filter(player => !player.is_archived)
+                     .map(player => player.id);
+  if (!seated.every(id => active.includes(id))) {
+    throw createError(400, 'Unknown or archived player');
+  }
+  return seated;
+};
+
+const toOrdinal = value => {
+  const ordinal = Number(value);
+  if (Number.isInteger(ordinal) && ordinal > 0) {
+    return ordinal;
+  }
+  throw createError(400, 'Invalid round ordinal');
+};
+
+const toDate = value => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, `Invalid date: ${value}`);
+  }
+  return date;
+};
+
+const toCompetitionId = value => {
+  if (value === undefined) {
+    return undefined;
+  }
+  return value === 'null' ? null : toId(value);
+};
+
+const toGameFilter = ({competitionId, from, to} = {}) => ({
+  competitionId: toCompetitionId(competitionId),
+  from: toDate(from),
+  to: toDate(to),
+});
+
+const loadResults = async query => {
+  const games = await Games.find(toGameFilter(query));
+  const rounds = await Rounds.getByGames(games.map(game => game.id));
+  const players = await Players.getAll();
+  return {
+    players,
+    games,
+    rounds,
+  };
+};
+
+const calculateScores = racks => {
+  try {
+    return Scoring.scoreRound(racks);
+  } catch (e) {
+    throw createError(400, e.message);
+  }
+};
+
+const validateScores = (scores, game) => {
+  const seated = Columns.getPlayers(game).length;
+  if (!Array.isArray(scores) || scores.length !== seated) {
+    throw createError(400, `Expected scores for ${seated} players`);
+  }
+  if (!scores.every(Number.isInteger)) {
+    throw createError(400, 'Scores have to be integers');
+  }
+  return scores;
+};
+
 module.exports = {
 
-  health() {
+  async health() {
+    const database = await Postgres.health();
     return {
-      status: Postgres.isConnected ? 'OK' : 'ERROR',
+      status: database.isConnected ? 'OK' : 'ERROR',
+      database,
     };
   },
 
   async players() {
-    const players = await Postgres.getPlayers();
+    const players = await Players.getAll();
     return players.map(normalizeKeys);
   },
 
+  async createPlayer({name, isPrimary = false} = {}) {
+    const player =
+        await Players.insert(validateName(name, 30), isPrimary === true);
+    return normalizeKeys(player);
+  },
+
+  async renamePlayer(id, {name} = {}) {
+    const player = await findPlayer(id);
+    const updated = await Players.update(player.id, {
+      name: validateName(name, 30),
+      isArchived: player.is_archived,
+    });
+    return normalizeKeys(updated);
+  },
+
+  async archivePlayer(id, isArchived = true) {
+    const player = await findSecondaryPlayer(id);
+    const updated = await Players.update(player.id, {
+      name: player.name,
+      isArchived,
+    });
+    return normalizeKeys(updated);
+  },
+
+  async deletePlayer(id) {
+    const player = await findSecondaryPlayer(id);
+    if (await Players.isReferenced(player.id)) {
+      throw createError(
+          409, 'Players taking part in games or competitions cannot be ' +
+              'deleted, archive them instead');
+    }
+    await Players.remove(player.id);
+    return normalizeKeys(player);
+  },
+
+  async users() {
+    const users = await Users.getAll();
+    return users.map(normalizeKeys);
+  },
+
+  /*
+   * Sets the role of the user and the player the user plays as.
+   */
+  async updateUser(id, {role, playerId = null} = {}, requester) {
+    const user = await findUser(id);
+    if (!Auth.ROLES.includes(role)) {
+      throw createError(400, 'Invalid role');
+    }
+    if (user.id === requester.id && role !== 'admin') {
+      throw createError(409, 'Admins cannot revoke their own role');
+    }
+    const player = playerId === null ? null : await findPlayer(playerId);
+    if (player) {
+      const users = await Users.getAll();
+      if (users.some(
+              other => other.player_id === player.id && other.id !== user.id)) {
+        throw createError(409, 'Player is already linked to another user');
+      }
+    }
+    const updated = await Users.update(user.id, {
+      role,
+      playerId: player ? player.id : null,
+    });
+    return normalizeKeys(updated);
+  },
+
   async competitions() {
-    const competitions = await Postgres.getCompetitions();
+    const competitions = await Competitions.getAll();
     const friendly = {
       id: null,
       name: 'Friendly',
@@ -33,8 +331,177 @@ module.exports = {
     return [friendly, ...competitions].map(normalizeKeys);
   },
 
+  async competition(id) {
+    return normalizeKeys(await findCompetition(id));
+  },
+
+  async createCompetition({name, players = [], ...format} = {}) {
+    const competition = await Competitions.insert(
+        validateName(name), await validatePlayers(players, 0),
+        validateFormat(format));
+    return normalizeKeys(competition);
+  },
+
+  /*
+   * Assigns the players taking part in the competition. Competitions
+   * without any players assigned are open to all players.
+   */
+  async assignPlayers(id, {players} = {}) {
+    const competition = await findOpenCompetition(id);
+    const updated = await Competitions.updatePlayers(
+        competition.id, await validatePlayers(players, 0));
+    return normalizeKeys(updated);
+  },
+
+  async competitionGames(id) {
+    const competition = await findCompetition(id);
+    const games = await Games.find({
+      competitionId: competition.id,
+    });
+    return games.map(normalizeKeys);
+  },
+
+  async competitionStandings(id) {
+    const competition = await findCompetition(id);
+    const games = await Games.find({
+      competitionId: competition.id,
+    });
+    const rounds = await Rounds.getByGames(games.map(game => game.id));
+    // open competitions rank everyone who played in them
+    const members = Columns.getPlayers(competition);
+    const ranked = members.length ?
+        members :
+        games.flatMap(game => Columns.getPlayers(game));
+    const players = (await Players.getAll())
+                        .filter(player => ranked.includes(player.id));
+    return Standings.calculate(
+        players, games, rounds, toStandingsOptions(competition));
+  },
+
+  async finishCompetition(id) {
+    const competition = await findOpenCompetition(id);
+    return normalizeKeys(await Competitions.finish(competition.id));
+  },
+
   async games() {
-    const games = await Postgres.getGames();
+    const games = await Games.getAll();
     return games.map(normalizeKeys);
   },
+
+  async game(id) {
+    return withRounds(await findGame(id));
+  },
+
+  /*
+   * Returns the channel publishing the changes to the game.
+   */
+  async gameChannel(id) {
+    return toChannel(await findGame(id));
+  },
+
+  async currentGame(user) {
+    const game = await Games.getLatestUnfinished(user.id);
+    return game ? withRounds(game) : null;
+  },
+
+  async createGame({type, competitionId = null, players} = {}, user) {
+    const competition = competitionId === null ?
+        null :
+        await findOpenCompetition(competitionId);
+    const seated = await validatePlayers(players);
+    authorizeScoring(user, seated);
+    if (competition) {
+      const members = Columns.getPlayers(competition);
+      if (members.length && !seated.every(id => members.includes(id))) {
+        throw createError(400, 'Players have to be part of the competition');
+      }
+    }
+    const game = await Games.insert(
+        validateType(type), competition ? competition.id : null, seated,
+        user.id);
+    return normalizeKeys(game);
+  },
+
+  /*
+   * Finishes the game. Finishing a finished game again changes nothing,
+   * so that a request repeated after a timeout does not fail.
+   */
+  async finishGame(id, user) {
+    const game = await findGame(id);
+    authorizeScoring(user, Columns.getPlayers(game));
+    if (game.is_finished) {
+      return withRounds(game);
+    }
+    const finished = await withRounds(await Games.finish(game.id));
+    Events.publish(toChannel(game), 'finish', finished);
+    return finished;
+  },
+
+  /*
+   * Records the round. Recording the same scores again returns the recorded
+   * round, so that a request repeated after a timeout does not conflict
+   * with itself.
+   */
+  async addRound(gameId, {ordinal, scores, racks} = {}, user) {
+    const game = await findOpenGame(gameId);
+    authorizeScoring(user, Columns.getPlayers(game));
+    const number = toOrdinal(ordinal);
+    const validated =
+        validateScores(racks ? calculateScores(racks) : scores, game);
+    const seats = Columns.getSeats(game);
+    const {round, isRecorded} = await Postgres.transaction(async db => {
+      await Games.lock(game.id, db);
+      const rounds = await Rounds.getByGame(game.id, db);
+      const recorded = rounds.find(round => round.ordinal === number);
+      if (!recorded) {
+        return {
+          round: await Rounds.insert(game.id, number, validated, db),
+          isRecorded: false,
+        };
+      }
+      const isSame = seats.every(
+          (seat, index) => recorded[`score_${seat}`] === validated[index]);
+      if (!isSame) {
+        throw createError(409, `Round ${number} is already recorded`);
+      }
+      return {
+        round: recorded,
+        isRecorded: true,
+      };
+    });
+    const normalized = normalizeKeys(round);
+    if (!isRecorded) {
+      Events.publish(toChannel(game), 'round', normalized);
+    }
+    return normalized;
+  },
+
+  async updateRound(gameId, ordinal, {scores, racks} = {}, user) {
+    const game = await findOpenGame(gameId);
+    authorizeScoring(user, Columns.getPlayers(game));
+    const round = await Rounds.update(
+        game.id, toOrdinal(ordinal),
+        validateScores(racks ? calculateScores(racks) : scores, game));
+    if (!round) {
+      throw createError(404, 'Round not found');
+    }
+    const updated = normalizeKeys(round);
+    Events.publish(toChannel(game), 'round', updated);
+    return updated;
+  },
+
+  async playerStats(query) {
+    const {players, games, rounds} = await loadResults(query);
+    return Statistics.players(players, games, rounds);
+  },
+
+  async trendStats(query) {
+    const {players, games, rounds} = await loadResults(query);
+    return Statistics.trends(players, games, rounds);
+  },
+
+  async headToHeadStats(query) {
+    const {players, games, rounds} = await loadResults(query);
+    return Statistics.headToHead(players, games, rounds);
+  },
 };
@@ -0,0 +1,50 @@
+const {Client} = require('pg');
+
+const Migrations = require('./services/migrations.js');
+
+const USAGE = 'Usage: npm run migrate [-- up | down [steps] | status]';
+
+const commands = {
+
+  async up(client) {
+    const migrations = await Migrations.up(client);
+    if (!migrations.length) {
+      console.log('=> Database schema is up to date');
+    }
+  },
+
+  async down(client, steps = '1') {
+    const count = Number(steps);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(USAGE);
+    }
+    await Migrations.down(client, count);
+  },
+
+  async status(client) {
+    for (const migration of await Migrations.status(client)) {
+      const state = migration.isApplied ? 'applied' : 'pending';
+      console.log(`${migration.version}-${migration.name}: ${state}`);
+    }
+  },
+};
+
+const migrate = async (command = 'up', ...args) => {
+  if (!Object.keys(commands).includes(command)) {
+    throw new Error(USAGE);
+  }
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL || '',
+  });
+  await client.connect();
+  try {
+    await commands[command](client, ...args);
+  } finally {
+    await client.end();
+  }
+};
+
+migrate(...process.argv.slice(2)).catch(e => {
+  console.error(`=> ERROR: ${e.message}`);
+  process.exitCode = 1;
+});
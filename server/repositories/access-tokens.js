@@ -0,0 +1,69 @@
+const Postgres = require('../services/postgres.js');
+
+/*
+ * Hashes of the access tokens of signed in users. Tokens expire after
+ * an hour of not being used.
+ */
+module.exports = {
+
+  async insert(userId, token, db = Postgres) {
+    const query = {
+      text: 'INSERT INTO tokens (user_id, token) VALUES ($1, $2)',
+      values: [userId, token],
+    };
+    await db.query(query);
+  },
+
+  /*
+   * Returns the user the token belongs to and extends the validity
+   * of the token.
+   */
+  async findUser(token, db = Postgres) {
+    const query = {
+      text: 'UPDATE tokens SET last_used_on = NOW() FROM users ' +
+          'WHERE token = $1 AND users.id = tokens.user_id ' +
+          'AND NOW() < last_used_on + INTERVAL \'1 hour\' ' +
+          'RETURNING users.id, username, role, users.player_id',
+      values: [token],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return result.rows[0];
+    }
+    return null;
+  },
+
+  /*
+   * Returns which of the tokens are still valid, without extending
+   * their validity.
+   */
+  async findActive(tokens, db = Postgres) {
+    const query = {
+      text: 'SELECT token FROM tokens WHERE token = ANY($1) ' +
+          'AND NOW() < last_used_on + INTERVAL \'1 hour\'',
+      values: [tokens],
+    };
+    const result = await db.query(query);
+    return result.rows.map(row => row.token);
+  },
+
+  async remove(token, db = Postgres) {
+    const query = {
+      text: 'DELETE FROM tokens WHERE token = $1',
+      values: [token],
+    };
+    await db.query(query);
+  },
+
+  /*
+   * Removes all tokens of the user, except for the given one.
+   */
+  async removeAll(userId, except = null, db = Postgres) {
+    const query = {
+      text: 'DELETE FROM tokens ' +
+          'WHERE user_id = $1 AND token IS DISTINCT FROM $2',
+      values: [userId, except],
+    };
+    await db.query(query);
+  },
+};
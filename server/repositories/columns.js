@@ -0,0 +1,52 @@
+const MIN_SEATS = 6;
+const SEAT_COLUMN = /^player_(\d+)$/;
+
+/*
+ * Spreads the values stored per seat in the join tables into numbered columns
+ * (player_1, player_2, ...), which is the shape exposed by the API.
+ */
+const toColumns = (prefix, values) => {
+  const columns = {};
+  const count = Math.max(values.length, MIN_SEATS);
+  for (let seat = 1; seat <= count; seat++) {
+    columns[`${prefix}_${seat}`] =
+        seat <= values.length ? values[seat - 1] : null;
+  }
+  return columns;
+};
+
+/*
+ * Returns the numbers of the taken seats of a game or competition,
+ * read from its numbered player columns.
+ */
+const getSeats = row => Object.keys(row)
+    .map(key => SEAT_COLUMN.exec(key))
+    .filter(match => match && row[match[0]] !== null)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+
+module.exports = {
+
+  getSeats,
+
+  /*
+   * Returns the identifiers of the seated players in the order of seats.
+   */
+  getPlayers(row) {
+    return getSeats(row).map(seat => row[`player_${seat}`]);
+  },
+
+  toSeated({players, ...row}) {
+    return {
+      ...row,
+      ...toColumns('player', players),
+    };
+  },
+
+  toScored({scores, ...row}) {
+    return {
+      ...row,
+      ...toColumns('score', scores),
+    };
+  },
+};
@@ -0,0 +1,82 @@
+const Postgres = require('../services/postgres.js');
+
+const {toSeated} = require('./columns.js');
+
+const SELECT_COMPETITIONS = 'SELECT competitions.*, ' +
+    'ARRAY(SELECT player_id FROM competition_players ' +
+    'WHERE competition_id = competitions.id ORDER BY seat) AS players ' +
+    'FROM competitions';
+
+const insertPlayers = async (id, players, db) => {
+  const query = {
+    text: 'INSERT INTO competition_players (competition_id, player_id, ' +
+        'seat) SELECT $1, seated.player_id, seated.seat ' +
+        'FROM UNNEST($2::int[]) WITH ORDINALITY AS seated(player_id, seat)',
+    values: [id, players],
+  };
+  await db.query(query);
+};
+
+module.exports = {
+
+  async getAll(db = Postgres) {
+    const result =
+        await db.query(`${SELECT_COMPETITIONS} ORDER BY competitions.id`);
+    return result.rows.map(toSeated);
+  },
+
+  async get(id, db = Postgres) {
+    const query = {
+      text: `${SELECT_COMPETITIONS} WHERE competitions.id = $1`,
+      values: [id],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return toSeated(result.rows[0]);
+    }
+    return null;
+  },
+
+  /*
+   * Creates the competition together with the seats of its players.
+   */
+  async insert(
+      name, players, {format, matchPoints, bestGames}, db = Postgres) {
+    return Postgres.transaction(async client => {
+      const query = {
+        text: 'INSERT INTO competitions ' +
+            '(name, format, match_points, best_games) ' +
+            'VALUES ($1, $2, $3, $4) RETURNING id',
+        values: [name, format, matchPoints, bestGames],
+      };
+      const result = await client.query(query);
+      const {id} = result.rows[0];
+      await insertPlayers(id, players, client);
+      return this.get(id, client);
+    }, db);
+  },
+
+  /*
+   * Replaces the players of the competition.
+   */
+  async updatePlayers(id, players, db = Postgres) {
+    return Postgres.transaction(async client => {
+      const removal = {
+        text: 'DELETE FROM competition_players WHERE competition_id = $1',
+        values: [id],
+      };
+      await client.query(removal);
+      await insertPlayers(id, players, client);
+      return this.get(id, client);
+    }, db);
+  },
+
+  async finish(id, db = Postgres) {
+    const query = {
+      text: 'UPDATE competitions SET is_finished = true WHERE id = $1',
+      values: [id],
+    };
+    await db.query(query);
+    return this.get(id, db);
+  },
+};
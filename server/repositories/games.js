@@ -0,0 +1,116 @@
+const Postgres = require('../services/postgres.js');
+
+const {toSeated} = require('./columns.js');
+
+const SELECT_GAMES = 'SELECT games.*, ' +
+    'ARRAY(SELECT player_id FROM game_players ' +
+    'WHERE game_id = games.id ORDER BY seat) AS players ' +
+    'FROM games';
+
+module.exports = {
+
+  async getAll(db = Postgres) {
+    const result = await db.query(`${SELECT_GAMES} ORDER BY games.id`);
+    return result.rows.map(toSeated);
+  },
+
+  /*
+   * Finds the games of the competition (null for games played outside
+   * of competitions) created within the given period.
+   */
+  async find({competitionId, from, to}, db = Postgres) {
+    const conditions = [];
+    const values = [];
+    if (competitionId === null) {
+      conditions.push('competition_id IS NULL');
+    } else if (competitionId) {
+      values.push(competitionId);
+      conditions.push(`competition_id = $${values.length}`);
+    }
+    if (from) {
+      values.push(from);
+      conditions.push(`created_on >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`created_on < $${values.length}`);
+    }
+    const where =
+        conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const query = {
+      text: `${SELECT_GAMES}${where} ORDER BY created_on`,
+      values,
+    };
+    const result = await db.query(query);
+    return result.rows.map(toSeated);
+  },
+
+  async get(id, db = Postgres) {
+    const query = {
+      text: `${SELECT_GAMES} WHERE games.id = $1`,
+      values: [id],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return toSeated(result.rows[0]);
+    }
+    return null;
+  },
+
+  /*
+   * Locks the game until the end of the transaction, so that concurrent
+   * changes to the game are made one after another.
+   */
+  async lock(id, db) {
+    const query = {
+      text: 'SELECT id FROM games WHERE id = $1 FOR UPDATE',
+      values: [id],
+    };
+    await db.query(query);
+  },
+
+  async getLatestUnfinished(userId, db = Postgres) {
+    const query = {
+      text: `${SELECT_GAMES} WHERE created_by = $1 AND NOT is_finished ` +
+          'ORDER BY games.id DESC LIMIT 1',
+      values: [userId],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return toSeated(result.rows[0]);
+    }
+    return null;
+  },
+
+  /*
+   * Creates the game together with the seats of its players.
+   */
+  async insert(type, competitionId, players, userId, db = Postgres) {
+    return Postgres.transaction(async client => {
+      const insertion = {
+        text: 'INSERT INTO games (type, competition_id, created_by) ' +
+            'VALUES ($1, $2, $3) RETURNING id',
+        values: [type, competitionId, userId],
+      };
+      const result = await client.query(insertion);
+      const {id} = result.rows[0];
+      const seats = {
+        text: 'INSERT INTO game_players (game_id, player_id, seat) ' +
+            'SELECT $1, seated.player_id, seated.seat ' +
+            'FROM UNNEST($2::int[]) WITH ORDINALITY AS seated(player_id, seat)',
+        values: [id, players],
+      };
+      await client.query(seats);
+      return this.get(id, client);
+    }, db);
+  },
+
+  async finish(id, db = Postgres) {
+    const query = {
+      text: 'UPDATE games SET is_finished = true WHERE id = $1',
+      values: [id],
+    };
+    await db.query(query);
+    return this.get(id, db);
+  },
+};
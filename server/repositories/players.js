@@ -0,0 +1,64 @@
+const Postgres = require('../services/postgres.js');
+
+module.exports = {
+
+  async getAll(db = Postgres) {
+    const result = await db.query('SELECT * FROM players ORDER BY id');
+    return result.rows;
+  },
+
+  async get(id, db = Postgres) {
+    const query = {
+      text: 'SELECT * FROM players WHERE id = $1',
+      values: [id],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return result.rows[0];
+    }
+    return null;
+  },
+
+  async insert(name, isPrimary, db = Postgres) {
+    const query = {
+      text: 'INSERT INTO players (name, is_primary) VALUES ($1, $2) ' +
+          'RETURNING *',
+      values: [name, isPrimary],
+    };
+    const result = await db.query(query);
+    return result.rows[0];
+  },
+
+  async update(id, {name, isArchived}, db = Postgres) {
+    const query = {
+      text: 'UPDATE players SET name = $2, is_archived = $3 ' +
+          'WHERE id = $1 RETURNING *',
+      values: [id, name, isArchived],
+    };
+    const result = await db.query(query);
+    return result.rows[0];
+  },
+
+  /*
+   * Checks if the player is seated in any game or competition.
+   */
+  async isReferenced(id, db = Postgres) {
+    const query = {
+      text: 'SELECT ' +
+          'EXISTS (SELECT 1 FROM game_players WHERE player_id = $1) OR ' +
+          'EXISTS (SELECT 1 FROM competition_players WHERE player_id = $1) ' +
+          'AS referenced',
+      values: [id],
+    };
+    const result = await db.query(query);
+    return result.rows[0].referenced;
+  },
+
+  async remove(id, db = Postgres) {
+    const query = {
+      text: 'DELETE FROM players WHERE id = $1',
+      values: [id],
+    };
+    await db.query(query);
+  },
+};
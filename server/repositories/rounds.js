@@ -0,0 +1,92 @@
+const Postgres = require('../services/postgres.js');
+
+const {toScored} = require('./columns.js');
+
+const SELECT_ROUNDS = 'SELECT rounds.*, ' +
+    'ARRAY(SELECT round_scores.score FROM game_players ' +
+    'LEFT JOIN round_scores ON round_scores.round_id = rounds.id ' +
+    'AND round_scores.player_id = game_players.player_id ' +
+    'WHERE game_players.game_id = rounds.game_id ' +
+    'ORDER BY game_players.seat) AS scores ' +
+    'FROM rounds';
+
+module.exports = {
+
+  async getByGame(gameId, db = Postgres) {
+    const query = {
+      text: `${SELECT_ROUNDS} WHERE game_id = $1 ORDER BY ordinal`,
+      values: [gameId],
+    };
+    const result = await db.query(query);
+    return result.rows.map(toScored);
+  },
+
+  async getByGames(gameIds, db = Postgres) {
+    const query = {
+      text: `${SELECT_ROUNDS} WHERE game_id = ANY($1) ORDER BY ordinal`,
+      values: [gameIds],
+    };
+    const result = await db.query(query);
+    return result.rows.map(toScored);
+  },
+
+  async get(gameId, ordinal, db = Postgres) {
+    const query = {
+      text: `${SELECT_ROUNDS} WHERE game_id = $1 AND ordinal = $2`,
+      values: [gameId, ordinal],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return toScored(result.rows[0]);
+    }
+    return null;
+  },
+
+  /*
+   * Records the round together with the scores of the players, given
+   * in the order of their seats.
+   */
+  async insert(gameId, ordinal, scores, db = Postgres) {
+    return Postgres.transaction(async client => {
+      const insertion = {
+        text: 'INSERT INTO rounds (game_id, ordinal) VALUES ($1, $2) ' +
+            'RETURNING id',
+        values: [gameId, ordinal],
+      };
+      const result = await client.query(insertion);
+      const scoring = {
+        text: 'INSERT INTO round_scores (round_id, player_id, score) ' +
+            'SELECT $1, game_players.player_id, entered.score ' +
+            'FROM game_players ' +
+            'JOIN UNNEST($3::int[]) WITH ORDINALITY AS entered(score, seat) ' +
+            'ON entered.seat = game_players.seat ' +
+            'WHERE game_players.game_id = $2',
+        values: [result.rows[0].id, gameId, scores],
+      };
+      await client.query(scoring);
+      return this.get(gameId, ordinal, client);
+    }, db);
+  },
+
+  /*
+   * Replaces the scores of the round, returns null if there is no such round.
+   */
+  async update(gameId, ordinal, scores, db = Postgres) {
+    const query = {
+      text: 'UPDATE round_scores SET score = entered.score ' +
+          'FROM rounds, game_players, ' +
+          'UNNEST($3::int[]) WITH ORDINALITY AS entered(score, seat) ' +
+          'WHERE rounds.game_id = $1 AND rounds.ordinal = $2 ' +
+          'AND round_scores.round_id = rounds.id ' +
+          'AND game_players.game_id = rounds.game_id ' +
+          'AND game_players.player_id = round_scores.player_id ' +
+          'AND game_players.seat = entered.seat',
+      values: [gameId, ordinal, scores],
+    };
+    const result = await db.query(query);
+    if (result.rowCount) {
+      return this.get(gameId, ordinal, db);
+    }
+    return null;
+  },
+};
@@ -0,0 +1,67 @@
+const Postgres = require('../services/postgres.js');
+
+const COLUMNS = 'id, username, role, player_id';
+
+module.exports = {
+
+  /*
+   * Returns the user with the password hash, to verify credentials.
+   */
+  async find(username, db = Postgres) {
+    const query = {
+      text: 'SELECT * FROM users WHERE username = $1',
+      values: [username],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return result.rows[0];
+    }
+    return null;
+  },
+
+  async getAll(db = Postgres) {
+    const result =
+        await db.query(`SELECT ${COLUMNS} FROM users ORDER BY id`);
+    return result.rows;
+  },
+
+  async get(id, db = Postgres) {
+    const query = {
+      text: `SELECT ${COLUMNS} FROM users WHERE id = $1`,
+      values: [id],
+    };
+    const result = await db.query(query);
+    if (result.rows.length) {
+      return result.rows[0];
+    }
+    return null;
+  },
+
+  async insert(username, password, db = Postgres) {
+    const query = {
+      text: 'INSERT INTO users (username, password) VALUES ($1, $2) ' +
+          `RETURNING ${COLUMNS}`,
+      values: [username, password],
+    };
+    const result = await db.query(query);
+    return result.rows[0];
+  },
+
+  async update(id, {role, playerId}, db = Postgres) {
+    const query = {
+      text: 'UPDATE users SET role = $2, player_id = $3 WHERE id = $1 ' +
+          `RETURNING ${COLUMNS}`,
+      values: [id, role, playerId],
+    };
+    const result = await db.query(query);
+    return result.rows[0];
+  },
+
+  async updatePassword(id, password, db = Postgres) {
+    const query = {
+      text: 'UPDATE users SET password = $2 WHERE id = $1',
+      values: [id, password],
+    };
+    await db.query(query);
+  },
+};
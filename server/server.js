@@ -7,12 +7,43 @@ const bodyParser = require('body-parser');
 const PORT = process.env.PORT || 5000;
 
 const Auth = require('./services/auth.js');
+const Events = require('./services/events.js');
 const Postgres = require('./services/postgres.js');
 
 const Account = require('./controllers/account.js');
 const API = require('./controllers/api.js');
 
+const fail = (res, e) => {
+  if (!e.status) {
+    console.error(e);
+  }
+  if (e.retryAfter) {
+    res.set('Retry-After', String(e.retryAfter));
+  }
+  res.status(e.status || 500).json({
+    error: e.status ? e.message : 'Internal server error',
+  });
+};
+
+const respond = action => async (req, res) => {
+  try {
+    res.json(await action(req));
+  } catch (e) {
+    fail(res, e);
+  }
+};
+
+const stream = channel => async (req, res) => {
+  try {
+    Events.subscribe(await channel(req), req, res);
+  } catch (e) {
+    fail(res, e);
+  }
+};
+
 express()
+    // client addresses are forwarded by the Heroku router
+    .set('trust proxy', 1)
     .use(morgan('combined'))
     .use(bodyParser.json())
     // static
@@ -20,30 +51,105 @@ express()
     // api
     .get(
         '/api/health', Auth.REQUIRE_TOKEN,
-        async (req, res) => res.json(await API.health()))
+        respond(() => API.health()))
     .get(
         '/api/players', Auth.REQUIRE_TOKEN,
-        async (req, res) => res.json(await API.players()))
+        respond(() => API.players()))
+    .post(
+        '/api/players', Auth.requireRole('admin'),
+        respond(req => API.createPlayer(req.body)))
+    .put(
+        '/api/players/:id', Auth.requireRole('admin'),
+        respond(req => API.renamePlayer(req.params.id, req.body)))
+    .post(
+        '/api/players/:id/archive', Auth.requireRole('admin'),
+        respond(req => API.archivePlayer(req.params.id)))
+    .post(
+        '/api/players/:id/restore', Auth.requireRole('admin'),
+        respond(req => API.archivePlayer(req.params.id, false)))
+    .delete(
+        '/api/players/:id', Auth.requireRole('admin'),
+        respond(req => API.deletePlayer(req.params.id)))
+    .get(
+        '/api/users', Auth.requireRole('admin'),
+        respond(() => API.users()))
+    .put(
+        '/api/users/:id', Auth.requireRole('admin'),
+        respond(req => API.updateUser(
+            req.params.id, req.body, req.user.user)))
     .get(
         '/api/competitions', Auth.REQUIRE_TOKEN,
-        async (req, res) => res.json(await API.competitions()))
+        respond(() => API.competitions()))
+    .post(
+        '/api/competitions', Auth.requireRole('admin'),
+        respond(req => API.createCompetition(req.body)))
+    .get(
+        '/api/competitions/:id', Auth.REQUIRE_TOKEN,
+        respond(req => API.competition(req.params.id)))
+    .put(
+        '/api/competitions/:id/players', Auth.requireRole('admin'),
+        respond(req => API.assignPlayers(req.params.id, req.body)))
+    .get(
+        '/api/competitions/:id/games', Auth.REQUIRE_TOKEN,
+        respond(req => API.competitionGames(req.params.id)))
+    .get(
+        '/api/competitions/:id/standings', Auth.REQUIRE_TOKEN,
+        respond(req => API.competitionStandings(req.params.id)))
+    .post(
+        '/api/competitions/:id/finish', Auth.requireRole('admin'),
+        respond(req => API.finishCompetition(req.params.id)))
     .get(
         '/api/games', Auth.REQUIRE_TOKEN,
-        async (req, res) => res.json(await API.games()))
+        respond(() => API.games()))
+    .post(
+        '/api/games', Auth.requireRole('scorer'),
+        respond(req => API.createGame(req.body, req.user.user)))
+    .get(
+        '/api/games/current', Auth.REQUIRE_TOKEN,
+        respond(req => API.currentGame(req.user.user)))
+    .get(
+        '/api/games/:id', Auth.REQUIRE_TOKEN,
+        respond(req => API.game(req.params.id)))
+    .get(
+        '/api/games/:id/events', Auth.REQUIRE_TOKEN,
+        stream(req => API.gameChannel(req.params.id)))
+    .post(
+        '/api/games/:id/finish', Auth.requireRole('scorer'),
+        respond(req => API.finishGame(req.params.id, req.user.user)))
+    .post(
+        '/api/games/:id/rounds', Auth.requireRole('scorer'),
+        respond(req => API.addRound(req.params.id, req.body, req.user.user)))
+    .put(
+        '/api/games/:id/rounds/:ordinal', Auth.requireRole('scorer'),
+        respond(req => API.updateRound(
+            req.params.id, req.params.ordinal, req.body, req.user.user)))
+    .get(
+        '/api/stats/players', Auth.REQUIRE_TOKEN,
+        respond(req => API.playerStats(req.query)))
+    .get(
+        '/api/stats/trends', Auth.REQUIRE_TOKEN,
+        respond(req => API.trendStats(req.query)))
+    .get(
+        '/api/stats/head-to-head', Auth.REQUIRE_TOKEN,
+        respond(req => API.headToHeadStats(req.query)))
     // account
     .post(
         '/login',
-        async (req, res) => {
-          const {username, password} = req.body;
-          const credentials = await Account.signIn(username, password);
-          if (credentials) {
-            res.json(credentials);
-          } else {
-            res.status(403).json({
-              error: 'Invalid credentials',
-            });
-          }
-        })
+        respond(req => Account.signIn(req.body, req.ip)))
+    .post(
+        '/register', Auth.OPTIONAL_TOKEN,
+        respond(req => Account.register(req.body, req.user)))
+    .post(
+        '/account/password', Auth.REQUIRE_TOKEN,
+        respond(req => Account.changePassword(req.user, req.body)))
+    .post(
+        '/logout', Auth.REQUIRE_TOKEN,
+        respond(req => Account.signOut(req.user)))
+    .post(
+        '/logout/everywhere', Auth.REQUIRE_TOKEN,
+        respond(req => Account.signOut(req.user, true)))
+    // errors raised by middleware, e.g. failing to authenticate
+    .use((error, req, res, next) => fail(res, error))
     // start up
     .listen(PORT, async () => {
       console.log('--------------------------------------------');
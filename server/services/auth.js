@@ -1,21 +1,71 @@
 const passport = require('passport');
 const {Strategy} = require('passport-http-bearer');
 
-const Postgres = require('./postgres.js');
+const Tokens = require('./tokens.js');
+
+const AccessTokens = require('../repositories/access-tokens.js');
 
 const authenticate = async (token, callback) => {
-  const user = await Postgres.getUserByToken(token);
-  callback(null, user ? {user} : false);
+  const hash = Tokens.hash(token);
+  let user = null;
+  try {
+    user = await AccessTokens.findUser(hash);
+  } catch (e) {
+    callback(e);
+    return;
+  }
+  callback(null, user ? {user, token: hash} : false);
 };
 
+// ordered from the least to the most privileged
+const ROLES = ['viewer', 'scorer', 'admin'];
+
 module.exports = {
 
+  ROLES,
+
+  hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  },
+
   get REQUIRE_TOKEN() {
     return passport.authenticate('bearer', {
       session: false,
     });
   },
 
+  /*
+   * Authenticates the request and checks if the user has at least the given
+   * role, admins being allowed everything scorers are, and so on.
+   */
+  requireRole(role) {
+    return [
+      this.REQUIRE_TOKEN,
+      (req, res, next) => {
+        if (this.hasRole(req.user.user, role)) {
+          next();
+        } else {
+          res.status(403).json({
+            error: 'Insufficient permissions',
+          });
+        }
+      },
+    ];
+  },
+
+  /*
+   * Authenticates the request if it comes with a valid token,
+   * but lets anonymous requests through with no user set.
+   */
+  get OPTIONAL_TOKEN() {
+    return (req, res, next) => passport.authenticate('bearer', {
+      session: false,
+    }, (error, user) => {
+      req.user = user || null;
+      next(error);
+    })(req, res, next);
+  },
+
   init() {
     passport.use(new Strategy(authenticate));
   },
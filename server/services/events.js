@@ -0,0 +1,137 @@
+const AccessTokens = require('../repositories/access-tokens.js');
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// open event streams per channel: {res, token, userId}
+const channels = new Map();
+
+let heartbeat = null;
+
+const getStreams = () => [].concat(
+    ...[...channels.values()].map(streams => [...streams]));
+
+const remove = (channel, stream) => {
+  const streams = channels.get(channel);
+  if (streams) {
+    streams.delete(stream);
+    if (!streams.size) {
+      channels.delete(channel);
+    }
+  }
+  updateHeartbeat();
+};
+
+const close = predicate => {
+  for (const [channel, streams] of channels) {
+    for (const stream of streams) {
+      if (predicate(stream)) {
+        stream.res.end();
+        remove(channel, stream);
+      }
+    }
+  }
+};
+
+/*
+ * Closes the streams opened with tokens which are no longer valid,
+ * e.g. expired after not being used for too long.
+ */
+const closeExpired = async () => {
+  const tokens = [...new Set(getStreams().map(stream => stream.token))];
+  try {
+    const active = await AccessTokens.findActive(tokens);
+    close(stream => !active.includes(stream.token));
+  } catch (e) {
+    // checked again with the next heartbeat
+  }
+};
+
+/*
+ * Proxies close idle connections, so comments are sent to the open streams
+ * now and then to keep them alive.
+ */
+const updateHeartbeat = () => {
+  if (channels.size && !heartbeat) {
+    heartbeat = setInterval(() => {
+      getStreams().forEach(stream => stream.res.write(': heartbeat\n\n'));
+      closeExpired();
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+  } else if (!channels.size && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+/*
+ * Server-Sent Events published to the clients subscribed to a channel,
+ * e.g. the changes to a game sent to everyone looking at its score sheet.
+ */
+module.exports = {
+
+  /*
+   * Turns the response into an event stream, which stays subscribed to
+   * the channel until the client disconnects or the access token used
+   * to open it is revoked or expires.
+   */
+  subscribe(channel, req, res) {
+    // the client could have disconnected while the channel was looked up
+    if (res.destroyed) {
+      return;
+    }
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    if (!channels.has(channel)) {
+      channels.set(channel, new Set());
+    }
+    const stream = {
+      res,
+      token: req.user.token,
+      userId: req.user.user.id,
+    };
+    channels.get(channel).add(stream);
+    updateHeartbeat();
+    res.on('close', () => remove(channel, stream));
+  },
+
+  publish(channel, event, data) {
+    const streams = channels.get(channel);
+    if (!streams) {
+      return;
+    }
+    const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streams.forEach(stream => stream.res.write(chunk));
+  },
+
+  /*
+   * Closes the streams opened with the revoked token.
+   */
+  closeToken(token) {
+    close(stream => stream.token === token);
+  },
+
+  /*
+   * Closes all streams of the user, except for the ones opened
+   * with the given token.
+   */
+  closeUser(userId, except = null) {
+    close(stream => stream.userId === userId && stream.token !== except);
+  },
+
+  closeExpired,
+
+  count(channel) {
+    const streams = channels.get(channel);
+    return streams ? streams.size : 0;
+  },
+
+  clear() {
+    channels.clear();
+    updateHeartbeat();
+  },
+};
@@ -0,0 +1,84 @@
+const FREE_ATTEMPTS = 5;
+const BASE_DELAY = 1000;
+const MAX_FAILURES = 10;
+const LOCKOUT = 15 * 60 * 1000;
+const RESET_AFTER = 60 * 60 * 1000;
+
+// failed attempts per key: {failures, lastFailure, blockedUntil}
+const attempts = new Map();
+
+/*
+ * Returns for how long further attempts are blocked after given number
+ * of failures: a few attempts are free, then the delay doubles with every
+ * failure until the lockout period is reached.
+ */
+const getDelay = failures => {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  if (failures >= MAX_FAILURES) {
+    return LOCKOUT;
+  }
+  return Math.min(BASE_DELAY * 2 ** (failures - FREE_ATTEMPTS), LOCKOUT);
+};
+
+const prune = now => {
+  for (const [key, entry] of attempts) {
+    if (now - entry.lastFailure > RESET_AFTER && now >= entry.blockedUntil) {
+      attempts.delete(key);
+    }
+  }
+};
+
+/*
+ * Attempts are limited per client address and per username, so that neither
+ * guessing passwords of many accounts from one address nor guessing the
+ * password of one account from many addresses gets far.
+ */
+const toKeys = (ip, username) => [
+  `ip:${ip}`,
+  `user:${String(username).toLowerCase()}`,
+];
+
+module.exports = {
+
+  getDelay,
+
+  /*
+   * Returns the number of seconds to wait before the next sign in attempt,
+   * zero if attempts are allowed.
+   */
+  getWaitTime(ip, username, now = Date.now()) {
+    const waits = toKeys(ip, username).map(key => {
+      const entry = attempts.get(key);
+      return entry ? Math.max(entry.blockedUntil - now, 0) : 0;
+    });
+    return Math.ceil(Math.max(...waits) / 1000);
+  },
+
+  registerFailure(ip, username, now = Date.now()) {
+    prune(now);
+    for (const key of toKeys(ip, username)) {
+      const entry = attempts.get(key) || {
+        failures: 0,
+      };
+      entry.failures++;
+      entry.lastFailure = now;
+      entry.blockedUntil = now + getDelay(entry.failures);
+      attempts.set(key, entry);
+    }
+  },
+
+  /*
+   * Clears the failures of the account, but not of the address, so that
+   * signing in to one account does not allow more guesses for others.
+   */
+  registerSuccess(ip, username) {
+    const [, key] = toKeys(ip, username);
+    attempts.delete(key);
+  },
+
+  clear() {
+    attempts.clear();
+  },
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+
+const FILE_NAME = /^(\d+)-([\w-]+)\.(up|down)\.sql$/;
+
+// arbitrary key of the lock held while migrating, shared by all instances
+const LOCK_KEY = 4627;
+
+const CREATE_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name VARCHAR(100),
+  applied_on TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)`;
+
+/*
+ * Runs the action while holding an advisory lock, so that server instances
+ * starting at the same time do not apply the same migration twice.
+ */
+const withLock = async (client, action) => {
+  await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+  try {
+    return await action();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+  }
+};
+
+const inTransaction = async (client, action) => {
+  await client.query('BEGIN');
+  try {
+    await action();
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  }
+};
+
+const readScript = (dir, file) =>
+    fs.readFileSync(path.join(dir, file), 'utf8');
+
+module.exports = {
+
+  MIGRATIONS_DIR,
+
+  /*
+   * Pairs up the scripts of each migration, named like "001-baseline.up.sql"
+   * and "001-baseline.down.sql", and sorts the migrations by version.
+   */
+  parse(files) {
+    const migrations = new Map();
+    for (const file of files) {
+      const match = FILE_NAME.exec(file);
+      if (!match) {
+        continue;
+      }
+      const [, digits, name, direction] = match;
+      const version = Number(digits);
+      const migration = migrations.get(version) || {
+        version,
+        name,
+      };
+      if (migration.name !== name || migration[direction]) {
+        throw new Error(`Duplicate migration version: ${digits}`);
+      }
+      migration[direction] = file;
+      migrations.set(version, migration);
+    }
+    for (const migration of migrations.values()) {
+      if (!migration.up || !migration.down) {
+        throw new Error(
+            `Migration ${migration.version}-${migration.name} ` +
+            'requires both the up and down script');
+      }
+    }
+    return [...migrations.values()].sort(
+        (first, second) => first.version - second.version);
+  },
+
+  /*
+   * Lists the migrations which are not applied yet, in the order to apply.
+   */
+  pending(migrations, versions) {
+    return migrations.filter(
+        migration => !versions.includes(migration.version));
+  },
+
+  /*
+   * Lists the applied migrations to roll back, starting from the latest one.
+   */
+  reverted(migrations, versions, steps = 1) {
+    return migrations
+        .filter(migration => versions.includes(migration.version))
+        .reverse()
+        .slice(0, steps);
+  },
+
+  load(dir = MIGRATIONS_DIR) {
+    return this.parse(fs.readdirSync(dir));
+  },
+
+  async getVersions(client) {
+    await client.query(CREATE_TABLE);
+    const result = await client.query(
+        'SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+  },
+
+  /*
+   * Applies all pending migrations, each one in a separate transaction.
+   * Returns the applied migrations.
+   */
+  async up(client, dir = MIGRATIONS_DIR) {
+    return withLock(client, async () => {
+      const versions = await this.getVersions(client);
+      const migrations = this.pending(this.load(dir), versions);
+      for (const migration of migrations) {
+        await inTransaction(client, async () => {
+          await client.query(readScript(dir, migration.up));
+          await client.query(
+              'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+              [migration.version, migration.name]);
+        });
+        console.log(
+            `=> Applied migration ${migration.version}-${migration.name}`);
+      }
+      return migrations;
+    });
+  },
+
+  /*
+   * Rolls back the given number of the latest applied migrations.
+   * Returns the rolled back migrations.
+   */
+  async down(client, steps = 1, dir = MIGRATIONS_DIR) {
+    return withLock(client, async () => {
+      const versions = await this.getVersions(client);
+      const migrations = this.reverted(this.load(dir), versions, steps);
+      for (const migration of migrations) {
+        await inTransaction(client, async () => {
+          await client.query(readScript(dir, migration.down));
+          await client.query(
+              'DELETE FROM schema_migrations WHERE version = $1',
+              [migration.version]);
+        });
+        console.log(
+            `=> Reverted migration ${migration.version}-${migration.name}`);
+      }
+      return migrations;
+    });
+  },
+
+  /*
+   * Lists all migrations with the information whether they are applied.
+   */
+  async status(client, dir = MIGRATIONS_DIR) {
+    const versions = await this.getVersions(client);
+    return this.load(dir).map(migration => ({
+      ...migration,
+      isApplied: versions.includes(migration.version),
+    }));
+  },
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const {promisify} = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'scrypt';
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+
+const legacySalt = process.env.HASH_SALT || '';
+
+/*
+ * Hashes created before the switch to scrypt: MD5 with a global salt.
+ */
+const createLegacyHash = password =>
+    crypto.createHash('md5').update(`${password}${legacySalt}`).digest('hex');
+
+const derive = (password, salt, cost, blockSize, parallelization) =>
+    scrypt(password, salt, KEY_LENGTH, {
+      N: cost,
+      r: blockSize,
+      p: parallelization,
+    });
+
+const isEqual = (first, second) => first.length === second.length &&
+    crypto.timingSafeEqual(first, second);
+
+module.exports = {
+
+  /*
+   * Creates a hash of the password with a random salt, stored together with
+   * the parameters used, e.g. "scrypt$16384$8$1$<salt>$<key>".
+   */
+  async hash(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await derive(
+        password, salt, COST, BLOCK_SIZE, PARALLELIZATION);
+    return [
+      ALGORITHM,
+      COST,
+      BLOCK_SIZE,
+      PARALLELIZATION,
+      salt.toString('base64'),
+      key.toString('base64'),
+    ].join('$');
+  },
+
+  /*
+   * Checks the password against a stored hash, either a scrypt one
+   * or a legacy MD5 one.
+   */
+  async verify(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+      return false;
+    }
+    if (this.isLegacy(stored)) {
+      return isEqual(
+          Buffer.from(createLegacyHash(password)), Buffer.from(stored));
+    }
+    const [algorithm, cost, blockSize, parallelization, salt, key] =
+        stored.split('$');
+    if (algorithm !== ALGORITHM || !key) {
+      return false;
+    }
+    const expected = Buffer.from(key, 'base64');
+    const actual = await derive(
+        password, Buffer.from(salt, 'base64'), Number(cost),
+        Number(blockSize), Number(parallelization));
+    return isEqual(actual, expected);
+  },
+
+  isLegacy(stored) {
+    return !stored.startsWith(`${ALGORITHM}$`);
+  },
+};
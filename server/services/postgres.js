@@ -1,76 +1,149 @@
-const {Client} = require('pg');
+const {Pool} = require('pg');
+
+const Migrations = require('./migrations.js');
 
 const connectionString = process.env.DATABASE_URL || '';
 
-const client = new Client({connectionString});
+const POOL_SIZE = Number(process.env.DATABASE_POOL_SIZE) || 10;
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
+const pool = new Pool({
+  connectionString,
+  max: POOL_SIZE,
+  idleTimeoutMillis: 30 * 1000,
+  connectionTimeoutMillis: 5 * 1000,
+});
+
+let reconnectTimer = null;
 
-module.exports = {
+/*
+ * Returns how long to wait before the given attempt to reconnect:
+ * the delay doubles with every failed attempt up to a minute.
+ */
+const getReconnectDelay = attempt =>
+    Math.min(RECONNECT_DELAY * 2 ** attempt, MAX_RECONNECT_DELAY);
+
+const Postgres = {
 
   isConnected: false,
 
-  async connect() {
+  getReconnectDelay,
+
+  /*
+   * Connects to the database and brings its schema up to date
+   * before reporting the connection as ready. Failed attempts are retried
+   * with a growing delay until the database is back.
+   */
+  async connect(attempt = 0) {
+    reconnectTimer = null;
+    let client = null;
     try {
-      await client.connect();
+      client = await pool.connect();
+      await Migrations.up(client);
       console.log('=> Connected to the database');
       this.isConnected = true;
     } catch (e) {
-      console.error('=> ERROR: cannot connect to the database!');
+      console.error(client ?
+          '=> ERROR: cannot migrate the database!' :
+          '=> ERROR: cannot connect to the database!', e.message);
       this.isConnected = false;
+      this.reconnect(attempt);
+    } finally {
+      if (client) {
+        client.release();
+      }
     }
   },
 
-  async findUser(username, password) {
-    const query = {
-      text: 'SELECT * FROM users WHERE username = $1 AND password = $2',
-      values: [username, password],
-    };
-    const result = await client.query(query);
-    if (result.rows.length) {
-      return result.rows[0];
+  reconnect(attempt = 0) {
+    if (reconnectTimer) {
+      return;
     }
-    return null;
+    const delay = getReconnectDelay(attempt);
+    console.log(`=> Reconnecting to the database in ${delay / 1000}s`);
+    reconnectTimer = setTimeout(() => this.connect(attempt + 1), delay);
   },
 
-  async insertToken(userId, token) {
-    const query = {
-      text: 'INSERT INTO tokens (user_id, token) VALUES ($1, $2)',
-      values: [userId, token],
-    };
-    await client.query(query);
-  },
-
-  async getUserByToken(token) {
-    const query = {
-      text: 'SELECT username FROM users ' +
-          'JOIN tokens ON users.id = tokens.user_id ' +
-          'WHERE token = $1 AND NOW() < last_used_on + INTERVAL \'1 hour\'',
-      values: [token],
-    };
-    const result = await client.query(query);
-    if (result.rows.length) {
-      const user = result.rows[0];
-      const update = {
-        text: 'UPDATE tokens SET last_used_on = NOW() WHERE token = $1',
-        values: [token],
-      };
-      await client.query(update);
-      return user;
+  /*
+   * Probes the database with a trivial query and reports the state of
+   * the connection pool. A failed probe marks the database as disconnected
+   * until reconnecting succeeds.
+   */
+  async health() {
+    const start = Date.now();
+    let isResponding = true;
+    try {
+      await pool.query('SELECT 1');
+    } catch (e) {
+      isResponding = false;
+      if (this.isConnected) {
+        this.isConnected = false;
+        this.reconnect();
+      }
     }
-    return null;
+    return {
+      isConnected: this.isConnected && isResponding,
+      latency: isResponding ? Date.now() - start : null,
+      pool: {
+        size: POOL_SIZE,
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+      },
+    };
   },
 
-  async getPlayers() {
-    const result = await client.query('SELECT * FROM players');
-    return result.rows;
+  /*
+   * Runs the query on any connection from the pool.
+   */
+  async query(query, values) {
+    return pool.query(query, values);
   },
 
-  async getCompetitions() {
-    const result = await client.query('SELECT * FROM competitions');
-    return result.rows;
+  /*
+   * Runs the action in a transaction on a dedicated connection, passed
+   * to the action to run its queries on. Given the connection of
+   * a transaction in progress, the action joins that transaction instead.
+   */
+  async transaction(action, db = this) {
+    if (db !== this) {
+      return action(db);
+    }
+    return this.runTransaction(await pool.connect(), action);
   },
 
-  async getGames() {
-    const result = await client.query('SELECT * FROM games');
-    return result.rows;
+  /*
+   * Runs the action in a transaction on the given client and releases it.
+   * The transaction is committed once the action resolves and rolled back
+   * if it throws.
+   */
+  async runTransaction(client, action) {
+    let isBroken = false;
+    try {
+      await client.query('BEGIN');
+      const result = await action(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {
+        // the connection is not returned to the pool in an unknown state
+        isBroken = true;
+      });
+      throw e;
+    } finally {
+      client.release(isBroken);
+    }
   },
 };
+
+// idle connections dropped by the server are discarded by the pool
+pool.on('error', e => {
+  console.error('=> ERROR: lost a database connection', e.message);
+  if (Postgres.isConnected) {
+    Postgres.isConnected = false;
+    Postgres.reconnect();
+  }
+});
+
+module.exports = Postgres;
@@ -0,0 +1,50 @@
+const Tiles = require('./tiles.js');
+
+const JOKER_VALUE = 30;
+
+module.exports = {
+
+  JOKER_VALUE,
+
+  /*
+   * Returns the penalty value of a single tile left on the rack.
+   */
+  tileValue(tile) {
+    if (Tiles.isJoker(tile)) {
+      return JOKER_VALUE;
+    }
+    if (tile && Tiles.isNumber(tile.number)) {
+      return tile.number;
+    }
+    throw new Error(`Invalid tile: ${JSON.stringify(tile)}`);
+  },
+
+  rackValue(rack) {
+    if (!Array.isArray(rack)) {
+      throw new Error('Rack has to be a list of tiles');
+    }
+    return rack.reduce((sum, tile) => sum + this.tileValue(tile), 0);
+  },
+
+  /*
+   * Calculates the round result from the tiles left on each player's rack.
+   * The player with the lowest rack value (normally an empty rack) wins the
+   * round and scores the total of everyone else's tiles, while the others
+   * score minus the value of their own tiles.
+   */
+  scoreRound(racks) {
+    if (!Array.isArray(racks) || racks.length < 2) {
+      throw new Error('Racks of at least two players are required');
+    }
+    const values = racks.map(rack => this.rackValue(rack));
+    const lowest = Math.min(...values);
+    const winners = values.filter(value => value === lowest);
+    if (winners.length > 1) {
+      throw new Error('Cannot determine the round winner');
+    }
+    const winner = values.indexOf(lowest);
+    const total = values.reduce(
+        (sum, value, index) => index === winner ? sum : sum + value, 0);
+    return values.map((value, index) => index === winner ? total : -value);
+  },
+};
@@ -0,0 +1,75 @@
+const Statistics = require('./statistics.js');
+
+const FORMATS = ['cumulative', 'match-points', 'best-games'];
+const DEFAULT_MATCH_POINTS = [3, 1, 0];
+const DEFAULT_BEST_GAMES = 5;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/*
+ * Calculates the points a player earns for a series of finished games,
+ * given as the game total and the finishing position in each of them.
+ */
+const scorers = {
+
+  'cumulative': results => sum(results.map(result => result.total)),
+
+  'match-points': (results, {matchPoints = DEFAULT_MATCH_POINTS}) =>
+      sum(results.map(result => matchPoints[result.position - 1] || 0)),
+
+  'best-games': (results, {bestGames = DEFAULT_BEST_GAMES}) =>
+      sum(results.map(result => result.total)
+              .sort((first, second) => second - first)
+              .slice(0, bestGames)),
+};
+
+module.exports = {
+
+  FORMATS,
+
+  isFormat(format) {
+    return FORMATS.includes(format);
+  },
+
+  /*
+   * Ranks the players of a competition by the points scored in its finished
+   * games, counted according to the format agreed for the competition:
+   *  - cumulative: the sum of all game totals,
+   *  - match-points: points per game by finishing position, e.g. 3/1/0,
+   *  - best-games: the sum of the player's best N game totals.
+   * Players sharing a finishing position in a game get the better position.
+   */
+  calculate(players, games, rounds, options = {}) {
+    const {format = 'cumulative'} = options;
+    if (!this.isFormat(format)) {
+      throw new Error(`Unknown standings format: ${format}`);
+    }
+    const results = new Map(players.map(player => [player.id, []]));
+    for (const {totals} of Statistics.getResults(games, rounds)) {
+      for (const {playerId, total} of totals) {
+        if (results.has(playerId)) {
+          results.get(playerId).push({
+            total,
+            position: totals.filter(entry => entry.total > total).length + 1,
+          });
+        }
+      }
+    }
+    const entries = players.map(player => {
+      const playerResults = results.get(player.id);
+      return {
+        id: player.id,
+        name: player.name,
+        gamesPlayed: playerResults.length,
+        gamesWon: playerResults.filter(result => result.position === 1).length,
+        points: scorers[format](playerResults, options),
+      };
+    });
+    return entries
+        .map(entry => ({
+          rank: entries.filter(other => other.points > entry.points).length + 1,
+          ...entry,
+        }))
+        .sort((first, second) => first.rank - second.rank);
+  },
+};
@@ -0,0 +1,138 @@
+const {getSeats} = require('../repositories/columns.js');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const getScores = (rounds, seat) =>
+    rounds.map(round => round[`score_${seat}`]).filter(score => score !== null);
+
+/*
+ * Returns the final totals of finished games which have any rounds recorded,
+ * in the order of given games.
+ */
+const getResults = (games, rounds) => {
+  const results = [];
+  for (const game of games.filter(game => game.is_finished)) {
+    const gameRounds = rounds.filter(round => round.game_id === game.id);
+    if (gameRounds.length) {
+      results.push({
+        game,
+        totals: getSeats(game).map(seat => ({
+          playerId: game[`player_${seat}`],
+          total: sum(getScores(gameRounds, seat)),
+        })),
+      });
+    }
+  }
+  return results;
+};
+
+module.exports = {
+
+  getResults,
+
+  /*
+   * Aggregates the results of given games per player. Only finished games
+   * count as played (the ones with the highest total are won), while round
+   * scores are collected from all recorded rounds.
+   */
+  players(players, games, rounds) {
+    const entries = new Map(players.map(player => [player.id, {
+      id: player.id,
+      name: player.name,
+      gamesPlayed: 0,
+      gamesWon: 0,
+      scores: [],
+    }]));
+    for (const game of games) {
+      const gameRounds = rounds.filter(round => round.game_id === game.id);
+      const seats = getSeats(game);
+      const totals = seats.map(seat => sum(getScores(gameRounds, seat)));
+      const highest = Math.max(...totals);
+      seats.forEach((seat, index) => {
+        const entry = entries.get(game[`player_${seat}`]);
+        if (!entry) {
+          return;
+        }
+        entry.scores.push(...getScores(gameRounds, seat));
+        if (game.is_finished && gameRounds.length) {
+          entry.gamesPlayed++;
+          if (totals[index] === highest) {
+            entry.gamesWon++;
+          }
+        }
+      });
+    }
+    return [...entries.values()].map(({scores, ...entry}) => {
+      const hasScores = scores.length > 0;
+      return {
+        ...entry,
+        winRate: entry.gamesPlayed ? entry.gamesWon / entry.gamesPlayed : null,
+        rounds: scores.length,
+        averageScore: hasScores ? sum(scores) / scores.length : null,
+        bestRound: hasScores ? Math.max(...scores) : null,
+        worstRound: hasScores ? Math.min(...scores) : null,
+      };
+    });
+  },
+
+  /*
+   * Lists the final totals of each player in chronological order of games.
+   */
+  trends(players, games, rounds) {
+    const results = getResults(games, rounds);
+    return players.map(player => {
+      const points = [];
+      for (const {game, totals} of results) {
+        const entry = totals.find(entry => entry.playerId === player.id);
+        if (entry) {
+          points.push({
+            gameId: game.id,
+            date: game.created_on,
+            total: entry.total,
+          });
+        }
+      }
+      return {
+        id: player.id,
+        name: player.name,
+        points,
+      };
+    });
+  },
+
+  /*
+   * Counts the finished games each pair of players has played together
+   * and how many of them the first player ended with a higher total.
+   */
+  headToHead(players, games, rounds) {
+    const results = getResults(games, rounds);
+    const records = [];
+    for (const player of players) {
+      for (const opponent of players) {
+        if (player === opponent) {
+          continue;
+        }
+        const record = {
+          playerId: player.id,
+          opponentId: opponent.id,
+          games: 0,
+          wins: 0,
+        };
+        for (const {totals} of results) {
+          const own = totals.find(entry => entry.playerId === player.id);
+          const other = totals.find(entry => entry.playerId === opponent.id);
+          if (own && other) {
+            record.games++;
+            if (own.total > other.total) {
+              record.wins++;
+            }
+          }
+        }
+        if (record.games) {
+          records.push(record);
+        }
+      }
+    }
+    return records;
+  },
+};
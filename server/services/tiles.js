@@ -0,0 +1,93 @@
+const COLORS = ['black', 'blue', 'orange', 'red'];
+const MIN_NUMBER = 1;
+const MAX_NUMBER = 13;
+const COPIES = 2;
+const JOKERS = 2;
+const MIN_SET_SIZE = 3;
+
+const isNumber = number =>
+    Number.isInteger(number) && number >= MIN_NUMBER && number <= MAX_NUMBER;
+
+const isJoker = tile => Boolean(tile) && tile.joker === true;
+
+const isTile = tile => isJoker(tile) ||
+    Boolean(tile) && COLORS.includes(tile.color) && isNumber(tile.number);
+
+const withoutJokers = tiles => tiles.filter(tile => !isJoker(tile));
+
+// a set cannot use more jokers than the game has
+const isValidSet = (tiles, maxSize) => Array.isArray(tiles) &&
+    tiles.length >= MIN_SET_SIZE && tiles.length <= maxSize &&
+    tiles.every(isTile) && tiles.filter(isJoker).length <= JOKERS;
+
+module.exports = {
+
+  COLORS,
+  MIN_NUMBER,
+  MAX_NUMBER,
+
+  isNumber,
+  isJoker,
+  isTile,
+
+  /*
+   * Returns all 106 tiles of the game: two copies of numbers 1 to 13
+   * in each of the four colours and two jokers.
+   */
+  createSet() {
+    const tiles = [];
+    for (let copy = 0; copy < COPIES; copy++) {
+      for (const color of COLORS) {
+        for (let number = MIN_NUMBER; number <= MAX_NUMBER; number++) {
+          tiles.push({
+            color,
+            number,
+          });
+        }
+      }
+    }
+    for (let joker = 0; joker < JOKERS; joker++) {
+      tiles.push({
+        joker: true,
+      });
+    }
+    return tiles;
+  },
+
+  /*
+   * Checks if the tiles can be laid out as a run: at least three consecutive
+   * numbers of the same colour. Jokers fill in the gaps or extend the run
+   * at either end, the order of the tiles in the list does not matter.
+   */
+  isRun(tiles) {
+    if (!isValidSet(tiles, MAX_NUMBER - MIN_NUMBER + 1)) {
+      return false;
+    }
+    const numbered = withoutJokers(tiles);
+    const colors = new Set(numbered.map(tile => tile.color));
+    const numbers = numbered.map(tile => tile.number);
+    if (colors.size > 1 || new Set(numbers).size !== numbers.length) {
+      return false;
+    }
+    const span = Math.max(...numbers) - Math.min(...numbers) + 1;
+    return span <= tiles.length;
+  },
+
+  /*
+   * Checks if the tiles form a group: three or four tiles of the same number,
+   * each in a different colour. Jokers stand in for the missing colours.
+   */
+  isGroup(tiles) {
+    if (!isValidSet(tiles, COLORS.length)) {
+      return false;
+    }
+    const numbered = withoutJokers(tiles);
+    const colors = new Set(numbered.map(tile => tile.color));
+    const numbers = new Set(numbered.map(tile => tile.number));
+    return numbers.size <= 1 && colors.size === numbered.length;
+  },
+
+  isSet(tiles) {
+    return this.isRun(tiles) || this.isGroup(tiles);
+  },
+};
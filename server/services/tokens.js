@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+const TOKEN_LENGTH = 32;
+
+module.exports = {
+
+  /*
+   * Generates a random access token, returned to the client only.
+   */
+  create() {
+    return crypto.randomBytes(TOKEN_LENGTH).toString('hex');
+  },
+
+  /*
+   * Returns the hash of an access token, which is what gets stored
+   * in the database, so that leaked rows cannot be used to sign in.
+   */
+  hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  },
+};
@@ -0,0 +1,57 @@
+const Auth = require('../server/services/auth.js');
+
+const user = role => ({
+  id: 1,
+  username: 'ann',
+  role,
+});
+
+describe('Auth', () => {
+
+  describe('hasRole()', () => {
+
+    it('accepts roles at least as privileged as required', () => {
+      assert.equal(Auth.hasRole(user('admin'), 'scorer'), true);
+      assert.equal(Auth.hasRole(user('scorer'), 'scorer'), true);
+      assert.equal(Auth.hasRole(user('scorer'), 'viewer'), true);
+    });
+
+    it('rejects less privileged and unknown roles', () => {
+      assert.equal(Auth.hasRole(user('viewer'), 'scorer'), false);
+      assert.equal(Auth.hasRole(user('scorer'), 'admin'), false);
+      assert.equal(Auth.hasRole(user('owner'), 'viewer'), false);
+    });
+  });
+
+  describe('requireRole()', () => {
+
+    const check = (role, required) => {
+      const [, middleware] = Auth.requireRole(required);
+      const result = {};
+      const res = {
+        status(code) {
+          result.status = code;
+          return this;
+        },
+        json(body) {
+          result.body = body;
+        },
+      };
+      middleware({user: {user: user(role)}}, res, () => result.next = true);
+      return result;
+    };
+
+    it('lets requests of permitted users through', () => {
+      assert.deepEqual(check('admin', 'admin'), {next: true});
+    });
+
+    it('responds with 403 to other requests', () => {
+      assert.deepEqual(check('viewer', 'scorer'), {
+        status: 403,
+        body: {
+          error: 'Insufficient permissions',
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const Columns = require('../server/repositories/columns.js');
+
+describe('Columns', () => {
+
+  describe('getSeats()', () => {
+
+    it('reads the taken seats from the player columns', () => {
+      assert.deepEqual(Columns.getSeats({
+        id: 1,
+        player_10: 5,
+        player_2: 4,
+        player_1: 3,
+        player_3: null,
+        score_4: 10,
+      }), [1, 2, 10]);
+    });
+  });
+
+  describe('getPlayers()', () => {
+
+    it('returns the players in the order of seats', () => {
+      assert.deepEqual(Columns.getPlayers(Columns.toSeated({
+        players: [3, 1, 7, 2, 8, 9, 4],
+      })), [3, 1, 7, 2, 8, 9, 4]);
+    });
+  });
+
+  describe('toSeated()', () => {
+
+    it('spreads the players into numbered columns', () => {
+      assert.deepEqual(Columns.toSeated({
+        id: 1,
+        players: [3, 1],
+      }), {
+        id: 1,
+        player_1: 3,
+        player_2: 1,
+        player_3: null,
+        player_4: null,
+        player_5: null,
+        player_6: null,
+      });
+    });
+  });
+
+  describe('toScored()', () => {
+
+    it('spreads the scores into numbered columns', () => {
+      const round = Columns.toScored({
+        ordinal: 2,
+        scores: [10, -4, -6],
+      });
+      assert.equal(round.score_1, 10);
+      assert.equal(round.score_3, -6);
+      assert.equal(round.score_6, null);
+      assert.equal(round.scores, undefined);
+    });
+  });
+});
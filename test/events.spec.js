@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+
+const Events = require('../server/services/events.js');
+
+const connect = (
+    channel, userId = 1, token = `token-${userId}`, isDisconnected = false) => {
+  const req = {
+    user: {
+      user: {
+        id: userId,
+      },
+      token,
+    },
+  };
+  const res = Object.assign(new EventEmitter(), {
+    isEnded: false,
+    chunks: [],
+    headers: {},
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.isEnded = true;
+    },
+    destroyed: isDisconnected,
+  });
+  Events.subscribe(channel, req, res);
+  return {res};
+};
+
+describe('Events', () => {
+
+  afterEach(() => Events.clear());
+
+  describe('subscribe()', () => {
+
+    it('opens an event stream', () => {
+      const {res} = connect('game-1');
+      assert.equal(res.code, 200);
+      assert.equal(res.headers['Content-Type'], 'text/event-stream');
+      assert.equal(Events.count('game-1'), 1);
+    });
+
+    it('unsubscribes once the client disconnects', () => {
+      const {res} = connect('game-1');
+      connect('game-1');
+      res.emit('close');
+      assert.equal(Events.count('game-1'), 1);
+    });
+
+    it('ignores clients which disconnected before subscribing', () => {
+      const {res} = connect('game-1', 1, 'a', true);
+      assert.equal(res.code, undefined);
+      assert.equal(Events.count('game-1'), 0);
+    });
+  });
+
+  describe('closeToken()', () => {
+
+    it('closes the streams opened with the token', () => {
+      const first = connect('game-1', 1, 'a');
+      const second = connect('game-2', 1, 'b');
+      Events.closeToken('a');
+      assert.ok(first.res.isEnded);
+      assert.ok(!second.res.isEnded);
+      assert.equal(Events.count('game-1'), 0);
+      assert.equal(Events.count('game-2'), 1);
+    });
+  });
+
+  describe('closeUser()', () => {
+
+    it('closes the streams of the user except for the given token', () => {
+      const first = connect('game-1', 1, 'a');
+      const second = connect('game-1', 1, 'b');
+      const other = connect('game-1', 2, 'c');
+      Events.closeUser(1, 'b');
+      assert.ok(first.res.isEnded);
+      assert.ok(!second.res.isEnded);
+      assert.ok(!other.res.isEnded);
+      Events.closeUser(1);
+      assert.ok(second.res.isEnded);
+      assert.equal(Events.count('game-1'), 1);
+    });
+  });
+
+  describe('publish()', () => {
+
+    it('sends the event to the subscribers of the channel', () => {
+      const first = connect('game-1');
+      const second = connect('game-1');
+      const other = connect('game-2');
+      Events.publish('game-1', 'round', {
+        ordinal: 1,
+      });
+      const chunk = 'event: round\ndata: {"ordinal":1}\n\n';
+      assert.deepEqual(first.res.chunks, [chunk]);
+      assert.deepEqual(second.res.chunks, [chunk]);
+      assert.deepEqual(other.res.chunks, []);
+    });
+
+    it('ignores channels without subscribers', () => {
+      Events.publish('game-3', 'finish', {});
+      assert.equal(Events.count('game-3'), 0);
+    });
+  });
+});
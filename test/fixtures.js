@@ -0,0 +1,39 @@
+/*
+ * Rows shaped like the ones read from the database, shared by the tests
+ * of the services calculating results from games and their rounds.
+ */
+const SEATS = 6;
+
+const players = [
+  {id: 1, name: 'Ann'},
+  {id: 2, name: 'Bob'},
+  {id: 3, name: 'Cid'},
+];
+
+const game = (id, isFinished, ...seated) => {
+  const row = {
+    id,
+    is_finished: isFinished,
+  };
+  for (let seat = 1; seat <= SEATS; seat++) {
+    row[`player_${seat}`] = seated[seat - 1] || null;
+  }
+  return row;
+};
+
+const round = (gameId, ordinal, ...scores) => {
+  const row = {
+    game_id: gameId,
+    ordinal,
+  };
+  for (let seat = 1; seat <= SEATS; seat++) {
+    row[`score_${seat}`] = seat <= scores.length ? scores[seat - 1] : null;
+  }
+  return row;
+};
+
+module.exports = {
+  players,
+  game,
+  round,
+};
@@ -0,0 +1,48 @@
+const Limiter = require('../server/services/limiter.js');
+
+const fail = (times, ip, username, now) => {
+  for (let i = 0; i < times; i++) {
+    Limiter.registerFailure(ip, username, now);
+  }
+};
+
+describe('Limiter', () => {
+
+  beforeEach(() => Limiter.clear());
+
+  describe('getDelay()', () => {
+
+    it('doubles the delay after a few free attempts', () => {
+      assert.deepEqual(
+          [4, 5, 6, 7, 9].map(Limiter.getDelay), [0, 1000, 2000, 4000, 16000]);
+    });
+
+    it('locks out after too many failures', () => {
+      assert.equal(Limiter.getDelay(10), 15 * 60 * 1000);
+      assert.equal(Limiter.getDelay(50), 15 * 60 * 1000);
+    });
+  });
+
+  describe('getWaitTime()', () => {
+
+    it('allows a few failed attempts', () => {
+      fail(4, '1.1.1.1', 'ann', 0);
+      assert.equal(Limiter.getWaitTime('1.1.1.1', 'ann', 0), 0);
+    });
+
+    it('blocks both the address and the username', () => {
+      fail(6, '1.1.1.1', 'ann', 0);
+      assert.equal(Limiter.getWaitTime('1.1.1.1', 'bob', 0), 2);
+      assert.equal(Limiter.getWaitTime('2.2.2.2', 'Ann', 0), 2);
+      assert.equal(Limiter.getWaitTime('2.2.2.2', 'bob', 0), 0);
+      assert.equal(Limiter.getWaitTime('1.1.1.1', 'ann', 2000), 0);
+    });
+
+    it('keeps the address blocked after signing in', () => {
+      fail(6, '1.1.1.1', 'ann', 0);
+      Limiter.registerSuccess('1.1.1.1', 'ann');
+      assert.equal(Limiter.getWaitTime('2.2.2.2', 'ann', 0), 0);
+      assert.equal(Limiter.getWaitTime('1.1.1.1', 'ann', 0), 2);
+    });
+  });
+});
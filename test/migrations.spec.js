@@ -0,0 +1,73 @@
+const Migrations = require('../server/services/migrations.js');
+
+const migrations = Migrations.parse([
+  '002-archive-players.down.sql',
+  '001-baseline.up.sql',
+  '002-archive-players.up.sql',
+  '001-baseline.down.sql',
+  '003-game-state.up.sql',
+  '003-game-state.down.sql',
+  'README.md',
+]);
+
+describe('Migrations', () => {
+
+  describe('parse()', () => {
+
+    it('pairs up the scripts and sorts migrations by version', () => {
+      assert.deepEqual(migrations[0], {
+        version: 1,
+        name: 'baseline',
+        up: '001-baseline.up.sql',
+        down: '001-baseline.down.sql',
+      });
+      assert.deepEqual(
+          migrations.map(migration => migration.version), [1, 2, 3]);
+    });
+
+    it('requires both the up and down script', () => {
+      assert.throws(
+          () => Migrations.parse(['001-baseline.up.sql']),
+          /requires both the up and down script/);
+    });
+
+    it('rejects duplicate versions', () => {
+      assert.throws(() => Migrations.parse([
+        '001-baseline.up.sql',
+        '001-baseline.down.sql',
+        '001-players.up.sql',
+        '001-players.down.sql',
+      ]), /Duplicate migration version: 001/);
+    });
+  });
+
+  describe('pending()', () => {
+
+    it('lists the migrations which are not applied', () => {
+      assert.deepEqual(
+          Migrations.pending(migrations, [1])
+              .map(migration => migration.version),
+          [2, 3]);
+      assert.deepEqual(Migrations.pending(migrations, [1, 2, 3]), []);
+    });
+  });
+
+  describe('reverted()', () => {
+
+    it('lists the latest applied migrations', () => {
+      assert.deepEqual(
+          Migrations.reverted(migrations, [1, 2])
+              .map(migration => migration.version),
+          [2]);
+      assert.deepEqual(
+          Migrations.reverted(migrations, [1, 2, 3], 5)
+              .map(migration => migration.version),
+          [3, 2, 1]);
+    });
+  });
+
+  it('numbers the migrations of the project consecutively', () => {
+    const versions = Migrations.load().map(migration => migration.version);
+    assert.deepEqual(versions, versions.map((version, index) => index + 1));
+  });
+});
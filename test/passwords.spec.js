@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+const Passwords = require('../server/services/passwords.js');
+
+const md5 = string => crypto.createHash('md5').update(string).digest('hex');
+
+describe('Passwords', () => {
+
+  describe('hash()', () => {
+
+    it('creates a salted scrypt hash', async () => {
+      const hash = await Passwords.hash('secret');
+      assert.ok(hash.startsWith('scrypt$'));
+      assert.notEqual(hash, await Passwords.hash('secret'));
+      assert.ok(!Passwords.isLegacy(hash));
+    });
+  });
+
+  describe('verify()', () => {
+
+    it('accepts the password matching a scrypt hash', async () => {
+      const hash = await Passwords.hash('secret');
+      assert.equal(await Passwords.verify('secret', hash), true);
+      assert.equal(await Passwords.verify('Secret', hash), false);
+    });
+
+    it('accepts the password matching a legacy hash', async () => {
+      const hash = md5('secret');
+      assert.ok(Passwords.isLegacy(hash));
+      assert.equal(await Passwords.verify('secret', hash), true);
+      assert.equal(await Passwords.verify('other', hash), false);
+    });
+
+    it('rejects missing passwords and malformed hashes', async () => {
+      assert.equal(await Passwords.verify('secret', null), false);
+      assert.equal(await Passwords.verify(undefined, md5('secret')), false);
+      assert.equal(await Passwords.verify('secret', 'scrypt$1'), false);
+    });
+  });
+});
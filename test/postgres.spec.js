@@ -0,0 +1,86 @@
+const Postgres = require('../server/services/postgres.js');
+
+describe('Postgres', () => {
+
+  describe('getReconnectDelay()', () => {
+
+    it('doubles the delay with every attempt', () => {
+      assert.deepEqual(
+          [0, 1, 2, 5].map(Postgres.getReconnectDelay),
+          [1000, 2000, 4000, 32000]);
+    });
+
+    it('retries at least once a minute', () => {
+      assert.equal(Postgres.getReconnectDelay(6), 60 * 1000);
+      assert.equal(Postgres.getReconnectDelay(100), 60 * 1000);
+    });
+  });
+
+  describe('transaction()', () => {
+
+    it('joins the transaction in progress', async () => {
+      const client = {
+        query: () => assert.fail('Unexpected query'),
+      };
+      const result = await Postgres.transaction(async db => {
+        assert.equal(db, client);
+        return 'done';
+      }, client);
+      assert.equal(result, 'done');
+    });
+  });
+
+  describe('runTransaction()', () => {
+
+    const createClient = () => ({
+      queries: [],
+      released: [],
+      async query(query) {
+        this.queries.push(query);
+      },
+      release(isBroken) {
+        this.released.push(isBroken);
+      },
+    });
+
+    it('commits once the action resolves', async () => {
+      const client = createClient();
+      const result = await Postgres.runTransaction(client, async db => {
+        await db.query('INSERT');
+        return 'done';
+      });
+      assert.equal(result, 'done');
+      assert.deepEqual(client.queries, ['BEGIN', 'INSERT', 'COMMIT']);
+      assert.deepEqual(client.released, [false]);
+    });
+
+    it('rolls back if the action throws', async () => {
+      const client = createClient();
+      const error = new Error('Conflict');
+      await assert.rejects(
+          Postgres.runTransaction(client, async db => {
+            await db.query('INSERT');
+            throw error;
+          }),
+          error);
+      assert.deepEqual(client.queries, ['BEGIN', 'INSERT', 'ROLLBACK']);
+      assert.deepEqual(client.released, [false]);
+    });
+
+    it('discards the client if rolling back fails', async () => {
+      const client = createClient();
+      client.query = async query => {
+        client.queries.push(query);
+        if (query === 'ROLLBACK') {
+          throw new Error('Connection terminated');
+        }
+      };
+      const error = new Error('Conflict');
+      await assert.rejects(
+          Postgres.runTransaction(client, () => Promise.reject(error)),
+          error);
+      assert.deepEqual(client.queries, ['BEGIN', 'ROLLBACK']);
+      assert.deepEqual(client.released, [true]);
+    });
+  });
+});
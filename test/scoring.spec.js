@@ -0,0 +1,77 @@
+const Scoring = require('../server/services/scoring.js');
+
+const tiles = (...numbers) => numbers.map(number => ({number}));
+const joker = {
+  joker: true,
+};
+
+describe('Scoring', () => {
+
+  describe('tileValue()', () => {
+
+    it('returns the number of a numbered tile', () => {
+      assert.equal(Scoring.tileValue({number: 7}), 7);
+      assert.equal(Scoring.tileValue({color: 'red', number: 13}), 13);
+    });
+
+    it('values the joker at 30 points', () => {
+      assert.equal(Scoring.tileValue(joker), 30);
+    });
+
+    it('rejects invalid tiles', () => {
+      assert.throws(() => Scoring.tileValue({number: 0}));
+      assert.throws(() => Scoring.tileValue({number: 14}));
+      assert.throws(() => Scoring.tileValue({number: 2.5}));
+      assert.throws(() => Scoring.tileValue(null));
+    });
+  });
+
+  describe('rackValue()', () => {
+
+    it('sums up the tiles', () => {
+      assert.equal(Scoring.rackValue([]), 0);
+      assert.equal(Scoring.rackValue([...tiles(1, 5, 13), joker]), 49);
+    });
+
+    it('rejects racks that are not lists', () => {
+      assert.throws(() => Scoring.rackValue({number: 5}));
+    });
+  });
+
+  describe('scoreRound()', () => {
+
+    it('gives the winner the total of the other racks', () => {
+      const scores = Scoring.scoreRound([
+        tiles(3, 4),
+        [],
+        [...tiles(10), joker],
+      ]);
+      assert.deepEqual(scores, [-7, 47, -40]);
+    });
+
+    it('produces a zero-sum result', () => {
+      const scores = Scoring.scoreRound([
+        tiles(12, 12, 1),
+        tiles(2),
+        [],
+        [joker, joker],
+      ]);
+      assert.equal(scores.reduce((sum, score) => sum + score, 0), 0);
+    });
+
+    it('lets the lowest rack win when nobody went out', () => {
+      assert.deepEqual(
+          Scoring.scoreRound([tiles(9), tiles(2, 3), tiles(1)]), [-9, -5, 14]);
+    });
+
+    it('rejects a round without a single winner', () => {
+      assert.throws(() => Scoring.scoreRound([[], []]));
+      assert.throws(() => Scoring.scoreRound([tiles(4), tiles(1, 3)]));
+    });
+
+    it('requires at least two racks', () => {
+      assert.throws(() => Scoring.scoreRound([[]]));
+      assert.throws(() => Scoring.scoreRound(null));
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const Standings = require('../server/services/standings.js');
+
+const {players, game, round} = require('./fixtures.js');
+
+describe('Standings', () => {
+
+  describe('calculate()', () => {
+
+    it('ranks players by cumulative points of finished games', () => {
+      const standings = Standings.calculate(players, [
+        game(1, true, 1, 2, 3),
+        game(2, true, 3, 1),
+        game(3, false, 2, 3),
+      ], [
+        round(1, 1, 30, -10, -20),
+        round(2, 1, 15, -15),
+        round(3, 1, 100, -100),
+      ]);
+      assert.deepEqual(
+          standings.map(entry => entry.name), ['Ann', 'Cid', 'Bob']);
+      assert.deepEqual(standings.map(entry => entry.points), [15, -5, -10]);
+      assert.deepEqual(standings.map(entry => entry.gamesWon), [1, 1, 0]);
+      assert.deepEqual(standings.map(entry => entry.rank), [1, 2, 3]);
+    });
+
+    it('shares the rank between players with equal points', () => {
+      const standings = Standings.calculate(
+          players, [game(1, true, 1, 2)], [round(1, 1, 0, 0)]);
+      assert.deepEqual(standings.map(entry => entry.rank), [1, 1, 1]);
+    });
+
+    describe('with match points', () => {
+
+      const games = [
+        game(1, true, 1, 2, 3),
+        game(2, true, 1, 2, 3),
+      ];
+      const rounds = [
+        round(1, 1, 40, -30, -10),
+        round(2, 1, -5, 10, -5),
+      ];
+
+      it('awards the default 3/1/0 points by finishing position', () => {
+        const standings = Standings.calculate(players, games, rounds, {
+          format: 'match-points',
+        });
+        assert.deepEqual(
+            standings.map(entry => entry.name), ['Ann', 'Bob', 'Cid']);
+        assert.deepEqual(standings.map(entry => entry.points), [4, 3, 2]);
+      });
+
+      it('uses the agreed points', () => {
+        const standings = Standings.calculate(players, games, rounds, {
+          format: 'match-points',
+          matchPoints: [5, 2],
+        });
+        assert.deepEqual(standings.map(entry => entry.points), [7, 5, 4]);
+      });
+    });
+
+    describe('with best games', () => {
+
+      it('sums up the best game totals of each player', () => {
+        const standings = Standings.calculate(players, [
+          game(1, true, 1, 2),
+          game(2, true, 1, 2),
+          game(3, true, 1, 2),
+        ], [
+          round(1, 1, 50, -50),
+          round(2, 1, -40, 40),
+          round(3, 1, -45, 45),
+        ], {
+          format: 'best-games',
+          bestGames: 2,
+        });
+        assert.deepEqual(
+            standings.map(entry => entry.name), ['Bob', 'Ann', 'Cid']);
+        assert.deepEqual(standings.map(entry => entry.points), [85, 10, 0]);
+      });
+    });
+
+    it('rejects unknown formats', () => {
+      assert.throws(() => Standings.calculate(players, [], [], {
+        format: 'elo',
+      }));
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const Statistics = require('../server/services/statistics.js');
+
+const {players, game, round} = require('./fixtures.js');
+
+describe('Statistics', () => {
+
+  const games = [
+    game(1, true, 1, 2, 3),
+    game(2, true, 2, 1),
+    game(3, false, 1, 3),
+  ];
+  const rounds = [
+    round(1, 1, 20, -5, -15),
+    round(1, 2, -10, 18, -8),
+    round(2, 1, -30, 30),
+    round(3, 1, -4, 4),
+  ];
+
+  describe('players()', () => {
+    const [ann, bob, cid] = Statistics.players(players, games, rounds);
+
+    it('counts finished games played and won', () => {
+      assert.equal(ann.gamesPlayed, 2);
+      assert.equal(ann.gamesWon, 1);
+      assert.equal(bob.gamesPlayed, 2);
+      assert.equal(bob.gamesWon, 1);
+      assert.equal(cid.gamesPlayed, 1);
+      assert.equal(cid.gamesWon, 0);
+    });
+
+    it('calculates the win rate', () => {
+      assert.equal(ann.winRate, 0.5);
+      assert.equal(cid.winRate, 0);
+    });
+
+    it('aggregates round scores of all games', () => {
+      assert.equal(ann.rounds, 4);
+      assert.equal(ann.averageScore, (20 - 10 + 30 - 4) / 4);
+      assert.equal(ann.bestRound, 30);
+      assert.equal(ann.worstRound, -10);
+      assert.equal(cid.bestRound, 4);
+      assert.equal(cid.worstRound, -15);
+    });
+
+    it('reports players without games', () => {
+      const [entry] = Statistics.players(
+          [{id: 4, name: 'Dan'}], games, rounds);
+      assert.deepEqual(entry, {
+        id: 4,
+        name: 'Dan',
+        gamesPlayed: 0,
+        gamesWon: 0,
+        winRate: null,
+        rounds: 0,
+        averageScore: null,
+        bestRound: null,
+        worstRound: null,
+      });
+    });
+  });
+
+  describe('trends()', () => {
+
+    it('lists the totals of finished games per player', () => {
+      const [ann, bob, cid] = Statistics.trends(players, games, rounds);
+      assert.deepEqual(ann.points.map(point => point.total), [10, 30]);
+      assert.deepEqual(bob.points.map(point => point.total), [13, -30]);
+      assert.deepEqual(cid.points.map(point => point.gameId), [1]);
+    });
+  });
+
+  describe('headToHead()', () => {
+
+    it('counts games played together and won against each other', () => {
+      const records = Statistics.headToHead(players, games, rounds);
+      const find = (playerId, opponentId) => records.find(
+          record => record.playerId === playerId &&
+              record.opponentId === opponentId);
+      assert.deepEqual(find(1, 2), {
+        playerId: 1,
+        opponentId: 2,
+        games: 2,
+        wins: 1,
+      });
+      assert.equal(find(3, 1).games, 1);
+      assert.equal(find(3, 1).wins, 0);
+      assert.equal(find(2, 3).wins, 1);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const Tiles = require('../server/services/tiles.js');
+
+const tile = (color, number) => ({color, number});
+const joker = {
+  joker: true,
+};
+
+describe('Tiles', () => {
+
+  describe('createSet()', () => {
+
+    const tiles = Tiles.createSet();
+
+    it('contains 106 valid tiles', () => {
+      assert.equal(tiles.length, 106);
+      assert(tiles.every(Tiles.isTile));
+    });
+
+    it('contains two jokers', () => {
+      assert.equal(tiles.filter(Tiles.isJoker).length, 2);
+    });
+
+    it('contains two copies of each number in every colour', () => {
+      for (const color of Tiles.COLORS) {
+        for (let number = 1; number <= 13; number++) {
+          const copies = tiles.filter(
+              tile => tile.color === color && tile.number === number);
+          assert.equal(copies.length, 2);
+        }
+      }
+    });
+  });
+
+  describe('isTile()', () => {
+
+    it('rejects unknown colours and numbers out of range', () => {
+      assert(!Tiles.isTile(tile('green', 5)));
+      assert(!Tiles.isTile(tile('red', 0)));
+      assert(!Tiles.isTile(tile('red', 14)));
+      assert(!Tiles.isTile({number: 5}));
+      assert(!Tiles.isTile(null));
+    });
+  });
+
+  describe('isRun()', () => {
+
+    it('accepts consecutive numbers of the same colour', () => {
+      assert(Tiles.isRun([tile('red', 3), tile('red', 4), tile('red', 5)]));
+      assert(Tiles.isRun([tile('red', 13), tile('red', 11), tile('red', 12)]));
+    });
+
+    it('accepts jokers filling in the gaps', () => {
+      assert(Tiles.isRun([tile('black', 1), joker, tile('black', 3)]));
+      assert(Tiles.isRun([tile('black', 1), joker, joker, tile('black', 4)]));
+    });
+
+    it('accepts jokers extending the run', () => {
+      assert(Tiles.isRun([tile('orange', 12), tile('orange', 13), joker]));
+      assert(Tiles.isRun([tile('orange', 1), joker, joker]));
+    });
+
+    it('rejects runs that are too short', () => {
+      assert(!Tiles.isRun([tile('red', 3), tile('red', 4)]));
+      assert(!Tiles.isRun([tile('red', 3), joker]));
+    });
+
+    it('rejects mixed colours', () => {
+      assert(!Tiles.isRun([tile('red', 3), tile('blue', 4), tile('red', 5)]));
+    });
+
+    it('rejects gaps that cannot be filled', () => {
+      assert(!Tiles.isRun([tile('red', 3), tile('red', 5), tile('red', 7)]));
+      assert(!Tiles.isRun([tile('red', 1), joker, tile('red', 5)]));
+    });
+
+    it('rejects more jokers than the game has', () => {
+      assert(!Tiles.isRun([joker, joker, joker]));
+      assert(!Tiles.isRun([joker, joker, joker, tile('red', 5)]));
+    });
+
+    it('rejects duplicated numbers', () => {
+      assert(!Tiles.isRun([tile('red', 3), tile('red', 3), tile('red', 4)]));
+    });
+
+    it('rejects runs wrapping around from 13 to 1', () => {
+      assert(!Tiles.isRun([tile('red', 12), tile('red', 13), tile('red', 1)]));
+    });
+  });
+
+  describe('isGroup()', () => {
+
+    it('accepts the same number in different colours', () => {
+      assert(Tiles.isGroup(
+          [tile('red', 7), tile('blue', 7), tile('black', 7)]));
+      assert(Tiles.isGroup(Tiles.COLORS.map(color => tile(color, 10))));
+    });
+
+    it('accepts jokers standing in for missing colours', () => {
+      assert(Tiles.isGroup([tile('red', 7), joker, tile('black', 7)]));
+      assert(Tiles.isGroup([tile('red', 7), joker, joker, tile('black', 7)]));
+    });
+
+    it('rejects repeated colours', () => {
+      assert(!Tiles.isGroup([tile('red', 7), tile('red', 7), tile('blue', 7)]));
+    });
+
+    it('rejects different numbers', () => {
+      assert(!Tiles.isGroup(
+          [tile('red', 7), tile('blue', 8), tile('black', 7)]));
+    });
+
+    it('rejects more jokers than the game has', () => {
+      assert(!Tiles.isGroup([joker, joker, joker]));
+      assert(!Tiles.isGroup([joker, joker, joker, tile('red', 5)]));
+    });
+
+    it('rejects more than four tiles', () => {
+      assert(!Tiles.isGroup([
+        ...Tiles.COLORS.map(color => tile(color, 2)),
+        joker,
+      ]));
+    });
+  });
+
+  describe('isSet()', () => {
+
+    it('accepts both runs and groups', () => {
+      assert(Tiles.isSet([tile('red', 3), tile('red', 4), tile('red', 5)]));
+      assert(Tiles.isSet([tile('red', 3), tile('blue', 3), tile('black', 3)]));
+      assert(!Tiles.isSet([tile('red', 3), tile('blue', 4), tile('black', 5)]));
+    });
+  });
+});
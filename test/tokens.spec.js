@@ -0,0 +1,23 @@
+const Tokens = require('../server/services/tokens.js');
+
+describe('Tokens', () => {
+
+  describe('create()', () => {
+
+    it('generates random hexadecimal tokens', () => {
+      const token = Tokens.create();
+      assert.ok(/^[0-9a-f]{64}$/.test(token));
+      assert.notEqual(token, Tokens.create());
+    });
+  });
+
+  describe('hash()', () => {
+
+    it('returns the same hash for the same token', () => {
+      const token = Tokens.create();
+      assert.equal(Tokens.hash(token), Tokens.hash(token));
+      assert.notEqual(Tokens.hash(token), token);
+      assert.notEqual(Tokens.hash(token), Tokens.hash(Tokens.create()));
+    });
+  });
+});